@@ -0,0 +1,162 @@
+const Tour = require('../models/tourModel.js');
+const Booking = require('../models/bookingModel.js');
+const Review = require('../models/reviewModel.js');
+const catchAsync = require('../utils/catchAsync.js');
+const csv = require('../utils/csv.js');
+
+//Analytics for the admins & lead guides, every handler also sends a csv with ?format=csv
+
+const yearRange = year => ({
+  $gte: new Date(`${year}-01-01`),
+  $lt: new Date(`${year + 1}-01-01`)
+});
+
+//================ Revenue & occupancy per month (/analytics/revenue/:year) =========================
+//Months are of the start date of the tours, occupancy is the share of places booked on the tours starting that month
+//Bookings waiting for a refund hold no place & their money goes back, so they are only counted in refunds
+exports.getMonthlyRevenue = catchAsync(async (req, res, next) => {
+  const year = req.params.year * 1;
+
+  const [bookings, capacity] = await Promise.all([
+    Booking.aggregate([
+      {
+        $match: { startDate: yearRange(year) }
+      },
+      {
+        $group: {
+          _id: { $month: '$startDate' },
+          bookings: { $sum: { $cond: ['$needsRefund', 0, 1] } },
+          revenue: {
+            $sum: {
+              $cond: [
+                { $and: ['$paid', { $not: ['$needsRefund'] }] },
+                '$price',
+                0
+              ]
+            }
+          },
+          unpaid: { $sum: { $cond: ['$paid', 0, '$price'] } },
+          refunds: { $sum: { $cond: ['$needsRefund', '$price', 0] } }
+        }
+      }
+    ]),
+    Tour.aggregate([
+      {
+        $unwind: '$startDates'
+      },
+      {
+        $match: { startDates: yearRange(year) }
+      },
+      {
+        $group: {
+          _id: { $month: '$startDates' },
+          tourStarts: { $sum: 1 },
+          places: { $sum: '$maxGroupSize' }
+        }
+      }
+    ]).option({ includeHidden: true }) //bookings of the unpublished tours count as well
+  ]);
+
+  //Every month is listed, even the ones without any tour
+  const revenue = Array.from({ length: 12 }, (el, i) => {
+    const month = i + 1;
+    const booked = bookings.find(b => b._id === month) || {};
+    const offered = capacity.find(c => c._id === month) || {};
+    const places = offered.places || 0;
+    const participants = booked.bookings || 0;
+
+    return {
+      month,
+      tourStarts: offered.tourStarts || 0,
+      places,
+      bookings: participants,
+      occupancy: places ? Math.round((participants / places) * 1000) / 1000 : 0,
+      revenue: booked.revenue || 0,
+      unpaid: booked.unpaid || 0,
+      refunds: booked.refunds || 0
+    };
+  });
+
+  csv.sendRows(req, res, 'revenue', revenue);
+});
+
+//================ Top rated tours over time (/analytics/top-rated-tours) =========================
+//Average rating of the reviews written in each period eg: ?period=month&limit=3&minRatings=2&from=2021-01-01&to=2022-01-01
+const periodFormats = {
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+exports.getTopRatedTours = catchAsync(async (req, res, next) => {
+  const { period = 'month', limit = 3, minRatings = 1, from, to } = req.query;
+
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(from);
+  if (to) createdAt.$lt = new Date(to);
+
+  const topRatedTours = await Review.aggregate([
+    {
+      $match: from || to ? { createdAt } : {}
+    },
+    {
+      $group: {
+        _id: {
+          period: {
+            $dateToString: { format: periodFormats[period], date: '$createdAt' }
+          },
+          tour: '$tour'
+        },
+        averageRating: { $avg: '$rating' },
+        numRatings: { $sum: 1 }
+      }
+    },
+    {
+      $match: { numRatings: { $gte: minRatings } }
+    },
+    {
+      $sort: { '_id.period': 1, averageRating: -1, numRatings: -1 }
+    },
+    {
+      $group: {
+        _id: '$_id.period',
+        tours: {
+          $push: {
+            tour: '$_id.tour',
+            averageRating: '$averageRating',
+            numRatings: '$numRatings'
+          }
+        }
+      }
+    },
+    {
+      $project: { tours: { $slice: ['$tours', limit] } }
+    },
+    {
+      $unwind: { path: '$tours', includeArrayIndex: 'rank' }
+    },
+    {
+      $lookup: {
+        from: 'tours',
+        localField: 'tours.tour',
+        foreignField: '_id',
+        as: 'tourDoc'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id',
+        rank: { $add: ['$rank', 1] },
+        tour: '$tours.tour',
+        name: { $arrayElemAt: ['$tourDoc.name', 0] },
+        averageRating: { $round: ['$tours.averageRating', 2] },
+        numRatings: '$tours.numRatings'
+      }
+    },
+    {
+      $sort: { period: 1, rank: 1 }
+    }
+  ]);
+
+  csv.sendRows(req, res, 'topRatedTours', topRatedTours);
+});
@@ -3,31 +3,49 @@ const util = require('util');
 const crypto = require('crypto');
 
 const User = require('../models/userModel.js');
+const RefreshToken = require('../models/refreshTokenModel.js');
+const LoginAttempt = require('../models/loginAttemptModel.js');
 const catchAsync = require('../utils/catchAsync.js');
 const AppError = require('../utils/appError.js');
-const sendEmail = require('../utils/emailSender.js');
+const Email = require('../utils/emailSender.js');
+const logger = require('../utils/logger.js');
 
-const signToken = (id) => {
+//Access tokens are short lived (JWT_EXPIRES_IN eg: 15m), the session lives on through the refresh token
+//sid is the family of the refresh token so the access token dies with its session
+const signToken = (id, sid) => {
 	const secretKey = process.env.JWT_SECRET_KEY;
 	const expiresIn = process.env.JWT_EXPIRES_IN;
-	return jwt.sign({id}, secretKey, {expiresIn});
+	return jwt.sign({id, sid}, secretKey, {expiresIn});
 }
 
-const createAndSendToken = (user, statusCode, res) => {
-
-	//Creating a jwt token
-	const token = signToken(user._id);
-
-	//Creating a cookie
-	const cookieOptions = {
-		expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000),
+const cookieOptions = (expiresInMs) => {
+	const options = {
+		expires: new Date(Date.now() + expiresInMs),
 		// secure: true, //commented it becuase else we won't be able to test it in devlopment
 		httpOnly: true
 	}
 
-	if(process.env.NODE_ENV === 'production') cookieOptions.secure = true;
+	if(process.env.NODE_ENV === 'production') options.secure = true;
+
+	return options;
+}
+
+//Refresh cookie is only sent to the routes which need it
+const refreshCookiePath = '/api/v1/users';
+
+//session is passed while rotating the refresh token so the same family (device) continues
+const createAndSendToken = async (user, statusCode, req, res, session) => {
 
-	res.cookie('jwt_cookie', token, cookieOptions);
+	//Creating the refresh token (stored hashed) & the jwt access token for its session
+	const { token: refreshToken, refreshToken: refreshTokenDoc } = await RefreshToken.issue(user, req, session);
+	const token = signToken(user._id, refreshTokenDoc.family);
+
+	//Creating the cookies
+	res.cookie('jwt_cookie', token, cookieOptions(process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000));
+	res.cookie('refresh_cookie', refreshToken, {
+		...cookieOptions(refreshTokenDoc.expiresAt.getTime() - Date.now()),
+		path: refreshCookiePath
+	});
 
 	//Sending the token with the response
 
@@ -37,22 +55,55 @@ const createAndSendToken = (user, statusCode, res) => {
 	res.status(statusCode).json({
 		status: 'success',
 		token,
+		refreshToken,
 		data: {
 			user
 		}
 	});
 }
 
+//Creates a new verification token (old link stops working) & emails it to the user
+//On signup the link goes in the welcome email. Also used by updateMe when the email is changed
+const sendVerificationEmail = async (user, req, isWelcome) => {
+	const verificationToken = user.createEmailVerificationToken();
+	await user.save({validateBeforeSave: false});
+
+	const verifyURL = `${req.protocol}://${req.get('host')}/api/v1/users/verifyEmail/${verificationToken}`;
+
+	try {
+		const email = new Email(user, verifyURL);
+		if(isWelcome) {
+			await email.sendWelcome();
+		} else {
+			await email.sendEmailVerification();
+		}
+	} catch (err) {
+		user.emailVerificationToken = undefined;
+		user.emailVerificationExpires = undefined;
+		await user.save({validateBeforeSave: false});
+
+		throw err;
+	}
+}
+
+exports.sendVerificationEmail = sendVerificationEmail;
+
 exports.signup = catchAsync(async(req, res, next) => {
 	//Adding a new user into database.
 	const newUser = await User.create({
 		name: req.body.name,
 		email: req.body.email,
 		password: req.body.password,
-		passConfirm: req.body.passConfirm,
-		role: req.body.role
+		passConfirm: req.body.passConfirm
 	});
 
+	//Sending the verification link. Signup still succeeds if the email fails as the link can be sent again
+	try {
+		await sendVerificationEmail(newUser, req, true);
+	} catch (err) {
+		logger.warn('Verification email could not be sent', {userId: newUser.id, error: err.message});
+	}
+
 	
 	//========== JWT signing (Iteration 1)=============
 	//As the user is now saved to database correctly now we have to send a token to the user in return so that they can login/signin
@@ -76,9 +127,27 @@ exports.signup = catchAsync(async(req, res, next) => {
 	// });
 
 	//========== JWT signing & sending response (Iteration 3)
-	createAndSendToken(newUser, 201, res);
+	await createAndSendToken(newUser, 201, req, res);
 });
 
+//Same 429 response for the locked account & ip with the seconds to wait in Retry-After header
+const tooManyAttempts = (res, retryAfter) => {
+	res.set('Retry-After', `${retryAfter}`);
+	const minutes = Math.ceil(retryAfter / 60);
+	return new AppError(`Too many failed login attempts. Please try again in ${minutes} minute(s)`, 429);
+}
+
+//Short lived token which is exchanged for the real tokens along with a code at /login/2fa
+const sendTwoFactorChallenge = (user, res) => {
+	const twoFactorToken = jwt.sign({id: user._id, purpose: '2fa'}, process.env.JWT_SECRET_KEY, {expiresIn: '5m'});
+
+	res.status(200).json({
+		status: 'success',
+		twoFactorRequired: true,
+		twoFactorToken
+	});
+}
+
 exports.login = catchAsync(async (req, res, next) => {
 	const email = req.body.email;
 	const password = req.body.password;
@@ -88,13 +157,46 @@ exports.login = catchAsync(async (req, res, next) => {
 		return next(new AppError('Email and password both are required in order to login', 400));
 	}
 
+	//Check if the account or the ip is locked because of too many failed attempts
+	//email is used as the key instead of user id so that it does not tell if the account exists
+	const accountKey = `email:${`${email}`.toLowerCase()}`;
+	const ipKey = `ip:${req.ip}`;
+
+	const retryAfter = Math.max(await LoginAttempt.retryAfter(accountKey), await LoginAttempt.retryAfter(ipKey));
+	if(retryAfter > 0) {
+		return next(tooManyAttempts(res, retryAfter));
+	}
+
 	//Check if the email exits && the password is correct
 	const user = await User.findOne({email}).select('+password');
 
 	if(!user || !(await user.correctPassword(password, user.password))) {
+		const accountLockedUntil = await LoginAttempt.registerFailure(accountKey, process.env.LOGIN_MAX_ATTEMPTS || 5);
+		const ipLockedUntil = await LoginAttempt.registerFailure(ipKey, process.env.LOGIN_IP_MAX_ATTEMPTS || 20);
+
+		//Letting the owner know that someone is trying to get into the account
+		if(accountLockedUntil && user) {
+			try {
+				await new Email(user, `${req.protocol}://${req.get('host')}/login`).sendAccountLocked(accountLockedUntil);
+			} catch (err) {
+				logger.warn('Account locked email could not be sent', {userId: user.id, error: err.message});
+			}
+		}
+
+		const lockedUntil = accountLockedUntil || ipLockedUntil;
+		if(lockedUntil) {
+			return next(tooManyAttempts(res, Math.ceil((lockedUntil - Date.now()) / 1000)));
+		}
+
 		return next(new AppError(`Incorrect email or password`, 401));
 	}
 
+	//Failed attempts of the account are forgotten after a successful login (not of the ip)
+	await LoginAttempt.reset(accountKey);
+
+	//With 2FA on, the password only gives a short lived token for the second step (/login/2fa)
+	if(user.twoFactorEnabled) return sendTwoFactorChallenge(user, res);
+
 	//If all good sends the token back
 	// const token = signToken(user._id);
 	// res.status(200).json({
@@ -102,15 +204,17 @@ exports.login = catchAsync(async (req, res, next) => {
 	// 	token
 	// });
 
-	createAndSendToken(user, 200, res);
+	await createAndSendToken(user, 200, req, res);
 });
 
 exports.protect = catchAsync(async (req, res, next) => {
 
 	let token;
-	//Check if the token is provided by the user while requesting
+	//Check if the token is provided by the user while requesting (header for api clients, cookie for the browser)
 	if(req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
 		token = req.headers.authorization.split(' ')[1];
+	} else if(req.cookies && req.cookies.jwt_cookie) {
+		token = req.cookies.jwt_cookie;
 	};
 
 	//If the token not found that means the user is not logged in
@@ -122,6 +226,11 @@ exports.protect = catchAsync(async (req, res, next) => {
 	const decoded = await util.promisify(jwt.verify)(token, process.env.JWT_SECRET_KEY)
 	console.log(decoded);//stopped on timestamp 3:18 mins
 
+	//Tokens of the first login step (2FA pending) can not be used to access the api
+	if(decoded.purpose) {
+		return next(new AppError('Please complete the two factor authentication to login', 401));
+	}
+
 	//If the user exists
 	const currentUser = await User.findById(decoded.id);
 	if(!currentUser) {
@@ -133,11 +242,341 @@ exports.protect = catchAsync(async (req, res, next) => {
 		return next(new AppError('User has changed their password hence this token is no more valid', 401));
 	};
 
+	//If EMAIL_VERIFICATION_REQUIRED is on then unverified accounts can only read
+	const isWriteRequest = !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+	if(process.env.EMAIL_VERIFICATION_REQUIRED === 'true' && isWriteRequest && !currentUser.emailVerified && !req.allowUnverified) {
+		return next(new AppError('Please verify your email address to perform this operation', 403));
+	}
+
+	//If the role needs 2FA (TWO_FACTOR_REQUIRED_ROLES) then only the 2FA setup routes can be used till it is enabled
+	if(currentUser.requiresTwoFactor() && !currentUser.twoFactorEnabled && !req.allowWithoutTwoFactor) {
+		return next(new AppError('Your role requires two factor authentication. Please enable it from /api/v1/users/2fa/setup', 403));
+	}
+
+	//If the session of the token was not revoked (logout or /sessions)
+	if(decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+		return next(new AppError('This session has been logged out. Please login again', 401));
+	}
+
 	//If it reaches here means everything went correct and we can grant access to the protected route
 	req.user = currentUser;
+	req.tokenSession = decoded.sid;
+	res.locals.user = currentUser; //for the rendered pages
 	next();
 });
 
+//Only for rendered pages, so there will be no errors only the user will be available in the templates
+exports.isLoggedIn = async (req, res, next) => {
+	if(req.cookies && req.cookies.jwt_cookie) {
+		try {
+			//Check if the token is valid
+			const decoded = await util.promisify(jwt.verify)(req.cookies.jwt_cookie, process.env.JWT_SECRET_KEY);
+			if(decoded.purpose) {
+				return next();
+			}
+
+			//If the user still exists
+			const currentUser = await User.findById(decoded.id);
+			if(!currentUser) {
+				return next();
+			}
+
+			//If password was not changed after the token was issued
+			if(currentUser.passwordChangedAfter(decoded.iat)) {
+				return next();
+			}
+
+			//If the session was not revoked
+			if(decoded.sid && !(await RefreshToken.isSessionActive(decoded.sid))) {
+				return next();
+			}
+
+			//There is a logged in user
+			res.locals.user = currentUser;
+		} catch (err) {
+			return next();
+		}
+	}
+	next();
+};
+
+exports.logout = catchAsync(async (req, res, next) => {
+	//Revoking the session of the refresh token so it can not be used anymore
+	const refreshToken = req.cookies && req.cookies.refresh_cookie;
+	if(refreshToken) {
+		const tokenDoc = await RefreshToken.findOne({tokenHash: RefreshToken.hashToken(refreshToken)});
+		if(tokenDoc) await RefreshToken.revokeFamily(tokenDoc.family, 'logout');
+	}
+	res.clearCookie('refresh_cookie', {path: refreshCookiePath});
+
+	//httpOnly cookie can not be deleted from the browser so we overwrite it with a dummy value which expires soon
+	res.cookie('jwt_cookie', 'loggedout', {
+		expires: new Date(Date.now() + 10 * 1000),
+		httpOnly: true
+	});
+
+	//Logout link of the website goes back to the overview page
+	if(req.accepts(['json', 'html']) === 'html') return res.redirect('/');
+
+	res.status(200).json({
+		status: 'success'
+	});
+});
+
+//================ Refresh tokens & sessions =========================
+
+//Gives a new access token & rotates the refresh token. A refresh token can be used only once
+exports.refresh = catchAsync(async (req, res, next) => {
+	const refreshToken = req.body.refreshToken || (req.cookies && req.cookies.refresh_cookie);
+	if(!refreshToken) {
+		return next(new AppError('Please provide the refresh token', 401));
+	}
+
+	const tokenDoc = await RefreshToken.findOne({tokenHash: RefreshToken.hashToken(refreshToken)});
+	if(!tokenDoc) {
+		return next(new AppError('Refresh token is invalid', 401));
+	}
+
+	//An already used (or revoked) token means it was stolen, so the whole family is revoked
+	if(tokenDoc.revokedAt) {
+		await RefreshToken.revokeFamily(tokenDoc.family, 'reuse-detected');
+		return next(new AppError('Refresh token was already used. All sessions of this device are logged out, please login again', 401));
+	}
+
+	if(!tokenDoc.isActive()) {
+		return next(new AppError('Refresh token has expired. Please login again', 401));
+	}
+
+	//If the user still exists & password was not changed after the session started
+	const user = await User.findById(tokenDoc.user);
+	if(!user || user.passwordChangedAfter(parseInt(tokenDoc.sessionStartedAt.getTime() / 1000, 10))) {
+		await RefreshToken.revokeFamily(tokenDoc.family, 'invalid-user');
+		return next(new AppError('Please login again', 401));
+	}
+
+	//Rotating: the used token is revoked and a new one of the same family is sent
+	//Revoking is atomic so two requests with the same token can't both get through
+	const rotated = await RefreshToken.findOneAndUpdate(
+		{_id: tokenDoc._id, revokedAt: {$exists: false}},
+		{revokedAt: Date.now(), revokedReason: 'rotated'}
+	);
+	if(!rotated) {
+		await RefreshToken.revokeFamily(tokenDoc.family, 'reuse-detected');
+		return next(new AppError('Refresh token was already used. Please login again', 401));
+	}
+
+	await createAndSendToken(user, 200, req, res, {
+		family: tokenDoc.family,
+		sessionStartedAt: tokenDoc.sessionStartedAt
+	});
+});
+
+exports.getSessions = catchAsync(async (req, res, next) => {
+	//Every active family has exactly one usable token which represents the session
+	const tokens = await RefreshToken.find({
+		user: req.user.id,
+		revokedAt: {$exists: false},
+		expiresAt: {$gt: Date.now()}
+	}).sort('-sessionStartedAt');
+
+	const sessions = tokens.map(el => ({
+		id: el.family,
+		current: el.family === req.tokenSession,
+		userAgent: el.userAgent,
+		ip: el.ip,
+		startedAt: el.sessionStartedAt,
+		lastRefreshedAt: el.createdAt,
+		expiresAt: el.expiresAt
+	}));
+
+	res.status(200).json({
+		status: 'success',
+		results: sessions.length,
+		data: {
+			sessions
+		}
+	});
+});
+
+exports.revokeSession = catchAsync(async (req, res, next) => {
+	const tokenDoc = await RefreshToken.findOne({user: req.user.id, family: req.params.id});
+	if(!tokenDoc) {
+		return next(new AppError('No session found with the provided ID', 404));
+	}
+
+	await RefreshToken.revokeFamily(req.params.id, 'revoked-by-user');
+
+	res.status(204).json({
+		status: 'success',
+		data: null
+	});
+});
+
+//================ Email verification =========================
+
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+	//1) Get user based on the token
+	const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+	const user = await User.findOne({emailVerificationToken: hashedToken, emailVerificationExpires: {$gte: Date.now()}});
+
+	if(!user) {
+		return next(new AppError('Verification link is invalid or expired', 404));
+	}
+
+	//2) Mark the email as verified, token is single use so it is removed
+	user.emailVerified = true;
+	user.emailVerificationToken = undefined;
+	user.emailVerificationExpires = undefined;
+	await user.save({validateBeforeSave: false});
+
+	res.status(200).json({
+		status: 'success',
+		message: 'Email verified successfully !'
+	});
+});
+
+exports.resendVerificationEmail = catchAsync(async (req, res, next) => {
+	if(req.user.emailVerified) {
+		return next(new AppError('Your email is already verified', 400));
+	}
+
+	try {
+		await sendVerificationEmail(req.user, req);
+	} catch (err) {
+		return next(new AppError('There was some error while sending the verification email', 500));
+	}
+
+	res.status(200).json({
+		status: 'success',
+		message: 'Verification link sent successfully !'
+	});
+});
+
+//Used before protect on the write routes which unverified users still need (eg: resending the link)
+exports.allowUnverified = (req, res, next) => {
+	req.allowUnverified = true;
+	next();
+}
+
+//================ Two factor authentication =========================
+
+//Second step of the login, takes the token of the first step with a code from the authenticator app or a recovery code
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+	const { twoFactorToken, code, recoveryCode } = req.body;
+
+	if(!twoFactorToken || (!code && !recoveryCode)) {
+		return next(new AppError('twoFactorToken and a code or recoveryCode are required', 400));
+	}
+
+	const decoded = await util.promisify(jwt.verify)(twoFactorToken, process.env.JWT_SECRET_KEY);
+	if(decoded.purpose !== '2fa') {
+		return next(new AppError('Invalid two factor token', 401));
+	}
+
+	//Codes are only 6 digits so the attempts are limited just like the password
+	const attemptKey = `2fa:${decoded.id}`;
+	const retryAfter = await LoginAttempt.retryAfter(attemptKey);
+	if(retryAfter > 0) {
+		return next(tooManyAttempts(res, retryAfter));
+	}
+
+	const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+	if(!user || !user.twoFactorEnabled) {
+		return next(new AppError('Two factor authentication is not enabled for this user', 400));
+	}
+
+	const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+	if(!verified) {
+		const lockedUntil = await LoginAttempt.registerFailure(attemptKey, process.env.LOGIN_MAX_ATTEMPTS || 5);
+		if(lockedUntil) {
+			return next(tooManyAttempts(res, Math.ceil((lockedUntil - Date.now()) / 1000)));
+		}
+		return next(new AppError('Incorrect two factor code', 401));
+	}
+
+	//Saving the used step / recovery code so they can't be used again
+	await user.save({validateBeforeSave: false});
+	await LoginAttempt.reset(attemptKey);
+
+	await createAndSendToken(user, 200, req, res);
+});
+
+//Enrollment step 1: generates the secret & otpauth uri (to be shown as QR code in the authenticator app)
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+	if(req.user.twoFactorEnabled) {
+		return next(new AppError('Two factor authentication is already enabled', 400));
+	}
+
+	const { secret, otpauthURL } = req.user.createTwoFactorSecret();
+	await req.user.save({validateBeforeSave: false});
+
+	res.status(200).json({
+		status: 'success',
+		data: {
+			secret,
+			otpauthURL
+		}
+	});
+});
+
+//Enrollment step 2: the first code from the app confirms the secret. Recovery codes are sent only this once
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+	const user = await User.findById(req.user.id).select('+twoFactorTempSecret +twoFactorLastStep');
+
+	if(!user.twoFactorTempSecret) {
+		return next(new AppError('Please start the setup from /2fa/setup first', 400));
+	}
+
+	if(!user.verifyTwoFactorCode(req.body.code, user.twoFactorTempSecret)) {
+		return next(new AppError('Incorrect two factor code', 401));
+	}
+
+	user.twoFactorSecret = user.twoFactorTempSecret;
+	user.twoFactorTempSecret = undefined;
+	user.twoFactorEnabled = true;
+	const recoveryCodes = user.createRecoveryCodes();
+	await user.save({validateBeforeSave: false});
+
+	res.status(200).json({
+		status: 'success',
+		message: 'Two factor authentication enabled. Keep the recovery codes safe, they will not be shown again',
+		data: {
+			recoveryCodes
+		}
+	});
+});
+
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+	if(req.user.requiresTwoFactor()) {
+		return next(new AppError('Two factor authentication can not be disabled for your role', 403));
+	}
+
+	const user = await User.findById(req.user.id).select('+password +twoFactorSecret +twoFactorLastStep');
+
+	//Both the password & a current code are needed
+	if(!(await user.correctPassword(req.body.password || '', user.password)) || !user.verifyTwoFactorCode(req.body.code)) {
+		return next(new AppError('Incorrect password or two factor code', 401));
+	}
+
+	user.twoFactorEnabled = false;
+	user.twoFactorSecret = undefined;
+	user.twoFactorLastStep = undefined;
+	user.twoFactorRecoveryCodes = undefined;
+	await user.save({validateBeforeSave: false});
+
+	res.status(200).json({
+		status: 'success',
+		message: 'Two factor authentication disabled'
+	});
+});
+
+//Used before protect on the 2FA setup routes which the forced roles need before enabling it
+exports.allowWithoutTwoFactor = (req, res, next) => {
+	req.allowWithoutTwoFactor = true;
+	next();
+}
+
 exports.restrictTo = function (...roles) {
 	return (req, res, next) => {
 		//roles ['admin', 'lead-guide'] :: role = 'user'
@@ -162,14 +601,9 @@ exports.forgotPassword = catchAsync( async (req, res, next) => {
 
 	//3) Email it to the user
 	const resetURL = `${req.protocol}://${req.get('host')}/api/v1/users/resetPassword/${resetToken}`;
-	const message = `Forgot password? Reset your password and confirm it from ${resetURL}. This link will be only valid for 10 mins. If you didn't want to reset the password then please ignore this email`;
 
 	try {
-		await sendEmail({
-			email: user.email,
-			subject: 'Your magical link to reset your password',
-			message
-		});
+		await new Email(user, resetURL).sendPasswordReset();
 
 		res.status(200).json({
 			status: 'success',
@@ -210,7 +644,10 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
 	// 	status: "success",
 	// 	token
 	// });
-	createAndSendToken(user, 200, res);
+	//The reset link only proves access to the email, so the second factor is still asked for
+	if(user.twoFactorEnabled) return sendTwoFactorChallenge(user, res);
+
+	await createAndSendToken(user, 200, req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
@@ -232,5 +669,5 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
 	await user.save();
 
 	//4) Log the user in, and send the JWT
-	createAndSendToken(user, 200, res);
+	await createAndSendToken(user, 200, req, res);
 });
\ No newline at end of file
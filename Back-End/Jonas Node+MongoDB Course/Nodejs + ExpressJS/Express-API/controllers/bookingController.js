@@ -0,0 +1,163 @@
+const Booking = require('../models/bookingModel.js');
+const Tour = require('../models/tourModel.js');
+const catchAsync = require('../utils/catchAsync.js');
+const AppError = require('../utils/appError.js');
+const factory = require('./handlerFactory.js');
+const paymentProvider = require('../utils/paymentProvider.js');
+const logger = require('../utils/logger.js');
+
+//================ Book a tour (/tours/:tourId/bookings) =========================
+//Users book for themselves, price is taken from the tour so it can't be set by the user
+exports.bookTour = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findById(req.params.tourId);
+
+  if (!tour) {
+    return next(new AppError('No tour found with the provided ID', 404));
+  }
+
+  if (!req.body.startDate) {
+    return next(new AppError('Please provide the startDate of the tour', 400));
+  }
+
+  //Capacity of the start date is checked by the booking model while saving
+  const booking = await Booking.create({
+    tour: tour._id,
+    user: req.user.id,
+    price: tour.finalPrice,
+    startDate: req.body.startDate
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      booking
+    }
+  });
+});
+
+//================ Checkout session (/bookings/checkout-session/:tourId) =========================
+//Creates a session at the payment provider, the booking is only recorded by the webhook once it is paid
+exports.getCheckoutSession = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findById(req.params.tourId);
+
+  if (!tour) {
+    return next(new AppError('No tour found with the provided ID', 404));
+  }
+
+  const startDate = new Date(req.query.startDate);
+  if (!tour.startDates.some(el => el.getTime() === startDate.getTime())) {
+    return next(new AppError('The tour does not start on the given date', 400));
+  }
+  if (tour.soldOutDates.some(el => el.getTime() === startDate.getTime())) {
+    return next(new AppError('The tour is sold out on the given date', 400));
+  }
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const session = await paymentProvider.createCheckoutSession({
+    amount: tour.finalPrice,
+    currency: 'usd',
+    customerEmail: req.user.email,
+    clientReferenceId: req.params.tourId,
+    name: `${tour.name} Tour`,
+    description: tour.summary,
+    successUrl: `${baseUrl}/me?booking=success`,
+    cancelUrl: `${baseUrl}/tour/${tour.slug}`,
+    metadata: {
+      tour: tour.id,
+      user: req.user.id,
+      startDate: startDate.toISOString()
+    }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    session
+  });
+});
+
+//================ Payment webhook (/webhook-checkout) =========================
+//The booking could not take a seat after the payment, eg: the date sold out between the checkout & the payment
+//or the tour was deleted or hidden (404)
+const bookingFailures = ['SOLD_OUT', 'INVALID_START_DATE'];
+const isBookingFailure = err =>
+  err.isOperational &&
+  (bookingFailures.includes(err.code) || err.statusCode === 404);
+
+//Duplicate paymentSessionId means the event was already recorded
+const createPaidBooking = async data => {
+  try {
+    await Booking.create(data);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+};
+
+//Mounted in index.js before express.json as the signature is made from the raw body
+exports.webhookCheckout = catchAsync(async (req, res, next) => {
+  const event = paymentProvider.verifyWebhook(req.body, req.headers);
+
+  if (event.type === 'checkout.session.completed') {
+    const session = event.data;
+    const booking = {
+      tour: session.metadata.tour,
+      user: session.metadata.user,
+      price: session.amount,
+      startDate: session.metadata.startDate,
+      paid: true,
+      paymentSessionId: session.id
+    };
+
+    //The customer has paid so the purchase is always recorded, if it can't be booked it is kept for a refund
+    try {
+      await createPaidBooking(booking);
+    } catch (err) {
+      if (!isBookingFailure(err)) throw err;
+
+      logger.warn('Paid booking needs a refund', {
+        requestId: req.requestId,
+        paymentSessionId: session.id,
+        reason: err.message
+      });
+      await createPaidBooking({ ...booking, needsRefund: true });
+    }
+  }
+
+  res.status(200).json({ received: true });
+});
+
+//================ My bookings of a tour (/tours/:tourId/bookings) =========================
+exports.getMyTourBookings = catchAsync(async (req, res, next) => {
+  const bookings = await Booking.find({
+    tour: req.params.tourId,
+    user: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: bookings.length,
+    data: {
+      bookings
+    }
+  });
+});
+
+//================ ADMIN CRUD (/bookings) =========================
+exports.getAllBookings = factory.getAll(Booking, {
+  filterableFields: [
+    'tour',
+    'user',
+    'price',
+    'startDate',
+    'paid',
+    'needsRefund'
+  ]
+});
+exports.getSingleBooking = factory.getOne(Booking);
+exports.addNewBooking = factory.createOne(Booking, {
+  allowedFields: ['tour', 'user', 'price', 'startDate', 'paid']
+});
+//startDate & tour can't be changed as the seat is taken on that date, so the booking has to be made again
+exports.updateSingleBooking = factory.updateOne(Booking, {
+  allowedFields: ['price', 'paid']
+});
+exports.deleteSingleBooking = factory.deleteOne(Booking);
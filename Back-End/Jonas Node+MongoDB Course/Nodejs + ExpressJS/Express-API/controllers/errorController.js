@@ -1,98 +1,171 @@
+const http = require('http');
 const AppError = require('../utils/appError.js');
+const logger = require('../utils/logger.js');
+const { redactUrl } = require('../utils/requestLogger.js');
 require('dotenv').config();
 
 //================ Handling MongoDB/Mongoose Generated errors ==============
 const handleCastErrorDB = (err) => {
   const message = `Invalid ${err.path}: ${err.value}`;
-  return new AppError(message, 400);
+  return new AppError(message, 400, 'INVALID_ID');
 }
 
-const handleDuplicateNameDB = (err) => {
-  const message = `Tour with ${err.keyValue.name} name already exists in database`;
-  return new AppError(message, 400);
+//Names the fields of the unique index which failed (eg. email of user, tour & user of review)
+const handleDuplicateKeyDB = (err) => {
+  const keyValue = err.keyValue || {};
+  const fields = Object.keys(err.keyValue || err.keyPattern || {});
+  const values = fields.filter(field => field in keyValue).map(field => `${field}: ${keyValue[field]}`);
+
+  const message = `Duplicate value for ${fields.join(' & ') || 'a unique field'}${values.length ? ` (${values.join(', ')})` : ''}. Please use another value`;
+  const error = new AppError(message, 409, 'DUPLICATE_KEY');
+  error.errors = fields.map(field => ({ field, message: `${field} already exists` }));
+  return error;
 }
 
 const handleValidationErrorDB = (err) => {
-  const errorMessage = Object.values(err.errors).map(el => el.message);
-  const message = `${errorMessage.join('. ')}`;
-  return new AppError(message, 400);
+  const errors = Object.values(err.errors).map(el => ({ field: el.path, message: el.message }));
+  const message = errors.map(el => el.message).join('. ');
+  const error = new AppError(message, 400, 'VALIDATION_FAILED');
+  error.errors = errors;
+  return error;
 }
 
 const handleIncorrectToken = (err) => {
   const message = 'Incorrect token please recheck or regenerate the token';
-  return new AppError(message, 400);
+  return new AppError(message, 401, 'INVALID_TOKEN');
 }
 
 const handleExpiredToken = (err) => {
   const message = 'Token has expired. Please loging again';
-  return new AppError(message, 400);
+  return new AppError(message, 401, 'TOKEN_EXPIRED');
 }
 
-//=============== Error Responses for Dev & Prod Environments ============
-const sendErrorDev = (err, res) => {
-  res.status(err.statusCode).json({
-    status: err.status,
-    message: err.message,
-    stack: err.stack,
-    error: err
-  });
+//================ Handling Express/Multer Generated errors ==============
+//Body parser errors (invalid json, too large body) are safe to be shown to the client
+const handleExposedError = (err) => {
+  const codes = {
+    'entity.parse.failed': 'INVALID_JSON',
+    'entity.too.large': 'PAYLOAD_TOO_LARGE'
+  };
+  return new AppError(err.message, err.status, codes[err.type]);
 }
 
-const sendErrorProd = (err, res) => {
-  //If operational then send the alloted error message
-  if(err.isOperational) {
-    res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message
-    });
+const handleMulterError = (err) => {
+  return new AppError(err.message, 400, 'INVALID_UPLOAD');
+}
 
-  //If not operational then don't leak the error message instead send a generic error message
-  } else {
-    res.json({
-      err
-    })
-  }
-  // else {
-  //   //1) Log the error in the console so that you can get a report of the error
-  //   console.error('Error 💥 :',err);
-
-  //   //2) Send generic message to the user.
-  //   res.status(500).json({
-  //     status: 'error',
-  //     message: 'This error seems to be non-operational. You can join the support channels on discord to ask your questions'
-  //   })
-  // }
-  
+//Converts the known errors to operational errors, the rest stay non-operational (programming errors)
+const normalizeError = (err) => {
+  if(err.isOperational) return err;
+
+  //If Invalid id provided as "/:id" argument
+  if(err.name === 'CastError') return handleCastErrorDB(err);
+
+  //If a unique field already exists in database
+  if(err.code === 11000) return handleDuplicateKeyDB(err);
+
+  //If the validation in mongoose model fails
+  if(err.name === 'ValidationError') return handleValidationErrorDB(err);
+
+  //If the Token is incorrect
+  if(err.name === 'JsonWebTokenError') return handleIncorrectToken(err);
+
+  //If the token is timedout
+  if(err.name === 'TokenExpiredError') return handleExpiredToken(err);
+
+  if(err.name === 'MulterError') return handleMulterError(err);
+
+  if(err.expose && err.status < 500) return handleExposedError(err);
+
+  return err;
 }
 
-module.exports = (err, req, res, next) => {
+//=============== Problem Details (RFC 7807) ============
+//Code is stable so clients can rely on it instead of the message, if the error has no code it is made from the status (eg. 404 => NOT_FOUND)
+const problemDetails = (err, req) => {
+  const title = http.STATUS_CODES[err.statusCode] || 'Error';
+  //Only codes of operational errors are ours, the rest (eg. mongodb numeric codes) are ignored
+  const code = (err.isOperational && err.code) || title.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+  const problem = {
+    type: `/problems/${code.toLowerCase().replace(/_/g, '-')}`,
+    title,
+    status: err.statusCode,
+    detail: err.message,
+    instance: req.originalUrl,
+    code,
+    requestId: req.requestId
+  };
+  if(err.errors) problem.errors = err.errors;
+
+  return problem;
+}
 
-  // console.log(err.stack);
+const sendProblem = (res, problem) => {
+  res.status(problem.status).type('application/problem+json').json(problem);
+}
 
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || 'err';
+//=============== Error Responses for Dev & Prod Environments ============
+//Requests to the api get a json response, the rest are from the website so they get the rendered error page
+//The payment webhook is called by the provider and not by a browser, so it gets json as well
+const isApiRequest = req =>
+  req.originalUrl.startsWith('/api') || req.originalUrl === '/webhook-checkout';
+
+//Development shows the message & stack of every error
+const sendErrorDev = (err, req, res) => {
+  if(!isApiRequest(req)) {
+    return res.status(err.statusCode).render('error', {
+      title: 'Something went wrong!',
+      msg: err.message
+    });
+  }
 
-  if(process.env.NODE_ENV === 'development') {
-    sendErrorDev(err, res);
-  } else if(process.env.NODE_ENV === 'production') {
-    let error = err;
+  sendProblem(res, {
+    ...problemDetails(err, req),
+    stack: err.stack
+  });
+}
 
-    //If Invalid id provided as "/:id" argument
-    if(error.name === 'CastError') error = handleCastErrorDB(error);
-    
-    //If the tour name already exists in database
-    if(error.code === 11000) error = handleDuplicateNameDB(error);
+//Production never leaks the details of programming errors, they only get a generic 500
+const sendErrorProd = (err, req, res) => {
+  const error = err.isOperational ? err : new AppError('Something went very wrong. Please try again later', 500);
 
-    //If the validation in mongoose model fails
-    if(error.name === 'ValidationError') error = handleValidationErrorDB(error);
+  if(!isApiRequest(req)) {
+    return res.status(error.statusCode).render('error', {
+      title: 'Something went wrong!',
+      msg: error.message
+    });
+  }
 
-    //If the Token is incorrect
-    if(error.name === 'JsonWebTokenError') error = handleIncorrectToken(error);
+  sendProblem(res, problemDetails(error, req));
+}
 
-    //If the token is timedout
-    if(error.name === 'TokenExpiredError') error = handleExpiredToken(error);
+module.exports = (err, req, res, next) => {
+  //Response already started (eg. while streaming), express closes the connection
+  if(res.headersSent) return next(err);
+
+  const error = normalizeError(err);
+  error.statusCode = error.statusCode || 500;
+
+  //Unexpected errors are logged with the request id so that the failing call can be found from the X-Request-Id header
+  if(!error.isOperational) {
+    logger.error('unexpected error', {
+      requestId: req.requestId,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      userId: req.user ? req.user.id : undefined,
+      error: {
+        name: err.name,
+        message: err.message,
+        stack: err.stack
+      }
+    });
+  }
 
-    sendErrorProd(error, res);
+  //Any environment other than development (production, test, not set) is treated as production so nothing leaks by mistake
+  if(process.env.NODE_ENV === 'development') {
+    sendErrorDev(error, req, res);
+  } else {
+    sendErrorProd(error, req, res);
   }
-  
-}
\ No newline at end of file
+}
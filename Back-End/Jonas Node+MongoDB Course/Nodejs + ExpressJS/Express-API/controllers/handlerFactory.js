@@ -0,0 +1,128 @@
+const APIfeatures = require('../utils/appFeatures.js');
+const catchAsync = require('../utils/catchAsync.js');
+const AppError = require('../utils/appError.js');
+
+//Generic handlers shared by all the resources. Each of them returns a middleware for the given Model
+//Response keys are made from the model name eg: Tour => data.tour / data.tours
+//req.queryOptions are extra options for the queries set by an earlier middleware (eg. includeHidden of tours)
+
+const singularName = Model => Model.modelName.toLowerCase();
+const pluralName = Model => `${singularName(Model)}s`;
+
+const notFound = Model =>
+  new AppError(`No ${singularName(Model)} found with the provided ID`, 404);
+
+//Keeps only the allowed fields of the body (all the fields if no list is given)
+const filterBody = (body, allowedFields) => {
+  if (!allowedFields) return body;
+
+  const filtered = {};
+  Object.keys(body).forEach(el => {
+    if (allowedFields.includes(el)) filtered[el] = body[el];
+  });
+  return filtered;
+};
+
+//================ Get all documents =========================
+//options.filterableFields is the whitelist passed to APIfeatures.filter()
+exports.getAll = (Model, options = {}) =>
+  catchAsync(async (req, res, next) => {
+    //Nested routes eg: GET /tours/:tourId/reviews only returns the docs of that tour
+    let filter = {};
+    if (req.params.tourId) filter = { tour: req.params.tourId };
+
+    const features = new APIfeatures(
+      Model.find(filter).setOptions(req.queryOptions || {}),
+      req.query
+    )
+      .filter(options.filterableFields)
+      .sort()
+      .limitFields()
+      .pagination();
+    const { docs, pagination } = await features.paginate(req, res);
+
+    res.status(200).json({
+      status: 'success',
+      results: docs.length,
+      pagination,
+      data: {
+        [pluralName(Model)]: docs
+      }
+    });
+  });
+
+//================ Get single document =========================
+exports.getOne = (Model, popOptions) =>
+  catchAsync(async (req, res, next) => {
+    let query = Model.findById(req.params.id, null, req.queryOptions);
+    if (popOptions) query = query.populate(popOptions);
+    const doc = await query;
+
+    if (!doc) {
+      return next(notFound(Model));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        [singularName(Model)]: doc
+      }
+    });
+  });
+
+//================ Add a new document =========================
+//options.allowedFields limits which fields of the body can be set
+exports.createOne = (Model, options = {}) =>
+  catchAsync(async (req, res, next) => {
+    const doc = await Model.create(filterBody(req.body, options.allowedFields));
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        [singularName(Model)]: doc
+      }
+    });
+  });
+
+//================ Update a document =========================
+//options.allowedFields limits which fields of the body can be changed
+//options.afterUpdate(doc, req) runs once the document is updated (eg. removing the replaced images)
+exports.updateOne = (Model, options = {}) =>
+  catchAsync(async (req, res, next) => {
+    const doc = await Model.findByIdAndUpdate(
+      req.params.id,
+      filterBody(req.body, options.allowedFields),
+      {
+        ...req.queryOptions,
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!doc) {
+      return next(notFound(Model));
+    }
+    if (options.afterUpdate) await options.afterUpdate(doc, req);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        [singularName(Model)]: doc
+      }
+    });
+  });
+
+//================ Delete a document =========================
+exports.deleteOne = Model =>
+  catchAsync(async (req, res, next) => {
+    const doc = await Model.findByIdAndDelete(req.params.id, req.queryOptions);
+
+    if (!doc) {
+      return next(notFound(Model));
+    }
+
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  });
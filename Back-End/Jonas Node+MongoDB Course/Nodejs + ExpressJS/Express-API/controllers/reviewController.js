@@ -0,0 +1,53 @@
+const Review = require('../models/reviewModel.js');
+const factory = require('./handlerFactory.js');
+const catchAsync = require('../utils/catchAsync.js');
+const AppError = require('../utils/appError.js');
+
+//Used before creating a review so that nested route (/tours/:tourId/reviews) fills the tour & user by itself
+exports.setTourUserIds = (req, res, next) => {
+  if (!req.body.tour) req.body.tour = req.params.tourId;
+  req.body.user = req.user.id;
+  next();
+};
+
+//Users can only change or delete their own reviews, admins any of them
+exports.checkReviewOwner = catchAsync(async (req, res, next) => {
+  if (req.user.role === 'admin') return next();
+
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    return next(new AppError('No review found with the provided ID', 404));
+  }
+
+  //user is populated by the query middleware (null if the account was deleted), populated() gives back its id
+  const owner = review.populated('user') || review.user;
+  if (`${owner}` !== `${req.user.id}`) {
+    return next(
+      new AppError('You can only change or delete your own reviews', 403)
+    );
+  }
+  next();
+});
+
+//================ Get all reviews =========================
+//If hit through the nested route then factory only gets the reviews of that tour
+exports.getAllReviews = factory.getAll(Review, {
+  filterableFields: ['rating', 'tour', 'user']
+});
+
+//================ Get single review =========================
+exports.getSingleReview = factory.getOne(Review);
+
+//================ Add a new review =========================
+exports.addNewReview = factory.createOne(Review, {
+  allowedFields: ['review', 'rating', 'tour', 'user']
+});
+
+//================ Update a review =========================
+//Only the text and rating can be changed, a review can not be moved to another tour or user
+exports.updateSingleReview = factory.updateOne(Review, {
+  allowedFields: ['review', 'rating']
+});
+
+//================ Delete a review =========================
+exports.deleteSingleReview = factory.deleteOne(Review);
@@ -1,264 +1,394 @@
+const fs = require('fs');
+const util = require('util');
+const path = require('path');
+const sharp = require('sharp');
 const Tour = require('../models/tourModel.js');
-const APIfeatures = require('../utils/appFeatures.js');
+const Wishlist = require('../models/wishlistModel.js');
 const catchAsync = require('../utils/catchAsync.js');
 const AppError = require('../utils/appError.js');
+const factory = require('./handlerFactory.js');
+const upload = require('../utils/imageUpload.js');
+const APIfeatures = require('../utils/appFeatures.js');
+const csv = require('../utils/csv.js');
+const highlight = require('../utils/highlight.js');
+
+//Fields of the tour on which the list can be filtered eg: ?price[lte]=1000&difficulty=easy,medium
+const filterableFields = [
+  'duration',
+  'maxGroupSize',
+  'difficulty',
+  'ratingAverage',
+  'ratingQuantity',
+  'price',
+  'priceDiscount'
+];
+
+//================ Tour images =========================
+//One cover image and a gallery of upto 3 images
+exports.uploadTourImages = upload.fields([
+  { name: 'imageCover', maxCount: 1 },
+  { name: 'images', maxCount: 3 }
+]);
+
+const tourImageDir = path.join(__dirname, '../public/img/tours');
+const unlink = util.promisify(fs.unlink);
+
+const resizeTourImage = (buffer, filename) =>
+  sharp(buffer)
+    .resize(2000, 1333)
+    .toFormat('jpeg')
+    .jpeg({ quality: 90 })
+    .toFile(path.join(tourImageDir, filename));
+
+//Stored names are only trusted as a file name inside the tour images folder, anything else is never deleted
+const tourImagePath = filename => {
+  const file = path.resolve(tourImageDir, path.basename(`${filename}`));
+  return path.dirname(file) === tourImageDir ? file : undefined;
+};
+
+const deleteTourImages = filenames =>
+  Promise.all(
+    filenames
+      .map(tourImagePath)
+      .filter(Boolean)
+      .map(file =>
+        unlink(file).catch(err => {
+          //Seeded tours might point to images which are not on this server
+          if (err.code !== 'ENOENT') throw err;
+        })
+      )
+  );
+
+//Resized images are put in the body so that updateSingleTour saves their names
+//The tour is loaded first so that no file is written for a missing tour, its current images are deleted once replaced
+exports.resizeTourImages = catchAsync(async (req, res, next) => {
+  if (!req.files || (!req.files.imageCover && !req.files.images)) return next();
+
+  const tour = await Tour.findById(
+    req.params.id,
+    'imageCover images',
+    req.queryOptions
+  );
+  if (!tour) {
+    return next(new AppError('No tour found with the provided ID', 404));
+  }
+  req.replacedImages = [];
 
-//================ Get all tours =========================
-exports.getAllTours = catchAsync(async (req, res, next) => {
+  //1) Cover image
+  if (req.files.imageCover) {
+    req.body.imageCover = `tour-${req.params.id}-${Date.now()}-cover.jpeg`;
+    await resizeTourImage(req.files.imageCover[0].buffer, req.body.imageCover);
+    if (tour.imageCover) req.replacedImages.push(tour.imageCover);
+  }
+
+  //2) Gallery images
+  if (req.files.images) {
+    req.body.images = await Promise.all(
+      req.files.images.map(async (file, i) => {
+        const filename = `tour-${req.params.id}-${Date.now()}-${i + 1}.jpeg`;
+        await resizeTourImage(file.buffer, filename);
+        return filename;
+      })
+    );
+    req.replacedImages.push(...tour.images);
+  }
+
+  next();
+});
+
+//================ Hidden tours =========================
+//Secret & unpublished tours are left out by the query middleware of tours
+//Admins & lead guides ask for them with ?includeHidden=true, the handlers pass req.queryOptions on to the queries
+const privilegedRoles = ['admin', 'lead-guide'];
+
+exports.includeHidden = (req, res, next) => {
+  const { includeHidden } = req.query;
+  delete req.query.includeHidden;
+  if (includeHidden !== 'true') return next();
+
+  if (!privilegedRoles.includes(req.user.role)) {
+    return next(
+      new AppError('You do not have permission to see hidden tours', 403)
+    );
+  }
+  req.queryOptions = { includeHidden: true };
+  next();
+};
+
+//================ Favourite tours =========================
+//Tours found for the logged in user get isFavourite: true/false (whether they are in the wishlist of the user)
+exports.markFavourites = (req, res, next) => {
+  req.queryOptions = { ...req.queryOptions, favouritesOf: req.user.id };
+  next();
+};
 
-  const features = new APIfeatures(Tour.find(), req.query)
-    .sort()
+//================ Get all tours =========================
+//The handlers below used to be written by hand for each resource, now they come from handlerFactory
+exports.getAllTours = factory.getAll(Tour, { filterableFields });
+
+//================ Search tours =========================
+//?q=<words> searches the name, summary & description (text index) eg: ?q=forest -city or ?q="sea explorer"
+//Results are sorted by relevance unless ?sort is given, filters, fields & pagination work like the tours list
+const searchFields = ['name', 'summary', 'description'];
+
+exports.searchTours = catchAsync(async (req, res, next) => {
+  const { q, ...queryString } = req.query;
+
+  const features = new APIfeatures(
+    Tour.find(
+      { $text: { $search: q } },
+      { score: { $meta: 'textScore' } }
+    ).setOptions(req.queryOptions || {}),
+    queryString
+  )
+    .filter(filterableFields)
+    .sort({ score: { $meta: 'textScore' } })
     .limitFields()
     .pagination();
-  const tours = await features.query;
-  // const tours = await query;
+  const { docs, pagination } = await features.paginate(req, res);
+
+  const terms = highlight.searchTerms(q);
+  const tours = docs.map(doc => {
+    const highlights = {};
+    searchFields.forEach(field => {
+      const snippet = highlight.snippet(doc[field], terms);
+      if (snippet) highlights[field] = snippet;
+    });
+    return { ...doc.toJSON(), highlights };
+  });
 
-  //SEND RESPONSE
-  res.json({
+  res.status(200).json({
     status: 'success',
     results: tours.length,
+    pagination,
     data: {
       tours
     }
   });
-
-  // try {
-    //BUILD QUERY (Shifted to the class)
-    //we might have done queryObj = req.query but updating queryObj would have updated req.query as well so we made a new object
-    // const queryObj = { ...req.query };
-    // const excludedFields = ['page', 'limit', 'sort', 'fields'];
-
-    // //Now we will loop over the excludedFields and remove the element from queryObject if it's present
-    // excludedFields.forEach(el => {
-    //   delete queryObj[el];
-    // });
-
-    // //we get req.query as original and then we remove the fields added in excluded and get new object as queryObj which we use for quering
-    // console.log(req.query, queryObj); //Used for filetering in tours
-
-    // // const tours = await Tour.find(req.query);//we used it when we wanted to filter with all the fields
-    // let query = Tour.find(queryObj); //Now as we don't want to filter through all the query parameter we are using them
-
-    //SORTING THE RESPONSE (Shifted to the class)
-    //Sorting the response
-    // if (req.query.sort) {
-    //   query = query.sort(req.query.sort);
-    // } else {
-    //   query = query.sort('-createdAt;');
-    // }
-
-    //FILTERING ONLY REQUIRED FIELDS (Shifted to the class)
-    //Getting only the required field in response
-    //for http://localhost:300/api/v1/tours?fields=name,difficulty,duration we will make it 'name difficutly duration' for the query string
-    // if (req.query.fields) {
-    //   const field = req.query.fields.split(',').join(' ');
-    //   query = query.select(field);
-    // } else {
-    //   query = query.select('-__v');
-    // }
-
-    //ADDING PAGINATION TO THE API (Shifted to the class)
-    //Adding pagination to the api
-    // const page = req.query.page * 1 || 1;
-    // const limit = req.query.limit * 1 || 100;
-    // const skip = (page - 1) * limit;
-    // query = query.skip(skip).limit(limit);
-
-    // if (req.query.page) {
-    //   const numTour = await Tour.countDouments();
-    //   if (skip >= numTour) {
-    //     throw new Error('Page does not exist');
-    //   }
-    // }
-
-    //EXECUTE QUERY
-  //   const features = new APIfeatures(Tour.find(), req.query)
-  //     .sort()
-  //     .limitFields()
-  //     .pagination();
-  //   const tours = await features.query;
-  //   // const tours = await query;
-
-  //   //SEND RESPONSE
-  //   res.json({
-  //     status: 'success',
-  //     results: tours.length,
-  //     data: {
-  //       tours
-  //     }
-  //   });
-  // } catch (err) {
-  //   res.status(400).json({
-  //     status: 'fail',
-  //     message: err
-  //   });
-  // }
 });
 
-//================ Get Single tour =========================
-exports.getSingleTour = catchAsync(async (req, res, next) => {
-  const tour = await Tour.findById(req.params.id);
-
-  if(!tour) {
-    return next(new AppError('No tour found with the provided ID', 404));
-  }
+//================ Autocomplete =========================
+//?prefix=<text> returns the tours with a word of the name starting with it, only name & slug unless ?fields is given
+//The words of the prefix are matched on the indexed nameWords, the last one can be incomplete eg: ?prefix=sea exp
+exports.autocompleteTours = catchAsync(async (req, res, next) => {
+  const { prefix, ...queryString } = req.query;
+  const words = Tour.nameWords(prefix);
+  const lastWord = new RegExp(`^${highlight.escapeRegExp(words.pop())}`);
+
+  const features = new APIfeatures(
+    Tour.find({ nameWords: { $all: [...words, lastWord] } }).setOptions(
+      req.queryOptions || {}
+    ),
+    queryString
+  )
+    .filter(filterableFields)
+    .sort('name')
+    .limitFields('name slug')
+    .pagination();
+  const { docs, pagination } = await features.paginate(req, res);
 
   res.status(200).json({
     status: 'success',
+    results: docs.length,
+    pagination,
     data: {
-      tour
+      tours: docs
     }
   });
-
-  //First iteration of error handling
-  // try {
-  //   const tour = await Tour.findById(req.params.id);
-
-  //   res.status(200).json({
-  //     status: 'success',
-  //     data: {
-  //       tour
-  //     }
-  //   });
-  // } catch (err) {
-  //   res.status(404).json({
-  //     status: 'fail',
-  //     log: 'Id not found',
-  //     message: err
-  //   });
-  // }
 });
 
-//================ Add a new tour =========================
-exports.addNewTour = catchAsync(async (req, res, next) => {
-  const newTour = await Tour.create(req.body);
-
-  res.status(201).json({
-    status: 'success',
-    data: {
-      tour: newTour
-    }
-  });
+//================ Get Single tour =========================
+exports.getSingleTour = factory.getOne(Tour, { path: 'reviews' });
 
-  //=== ERROR HANDLING (Iteration 1) ===
-  // try {
-  //   const newTour = await Tour.create(req.body);
+//================ Add a new tour =========================
+exports.addNewTour = factory.createOne(Tour);
 
-  //   res.status(201).json({
-  //     status: 'success',
-  //     data: {
-  //       tour: newTour
-  //     }
-  //   });
-  // } catch (err) {
-  //   res.status(400).json({
-  //     status: 'fail',
-  //     message: err
-  //   });
-  // }
+//================ Update a tour =========================
+exports.updateSingleTour = factory.updateOne(Tour, {
+  afterUpdate: (tour, req) => deleteTourImages(req.replacedImages || [])
 });
 
-//================ Update a tour =========================
-exports.updateSingleTour = catchAsync(async (req, res, next) => {
-  const updatedTour = await Tour.findByIdAndUpdate(req.params.id, req.body, {
+//================ Delete a tour =========================
+exports.deleteSingleTour = factory.deleteOne(Tour);
+
+//================ Tour visibility =========================
+//Hides or schedules a tour (secretTour, publishAt & unpublishAt), hidden tours can be changed as well
+exports.updateTourVisibility = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
-    runValidators: true
+    runValidators: true,
+    includeHidden: true
   });
 
-  if(!tour) {
+  if (!tour) {
     return next(new AppError('No tour found with the provided ID', 404));
   }
 
-  res.status(201).send({
+  res.status(200).json({
     status: 'success',
     data: {
-      updatedTour
+      tour
     }
   });
-  //First iteration
-  // try {
-  //   const updatedTour = await Tour.findByIdAndUpdate(req.params.id, req.body, {
-  //     new: true,
-  //     runValidators: true
-  //   });
-
-  //   res.status(201).send({
-  //     status: 'success',
-  //     data: {
-  //       updatedTour
-  //     }
-  //   });
-  // } catch (err) {
-  //   res.status(400).json({
-  //     status: 'fail',
-  //     message: err
-  //   });
-  // }
 });
 
-//================ Delete a tour =========================
-exports.deleteSingleTour = catchAsync(async (req, res,next) => {
-  const tour = await Tour.findByIdAndDelete(req.params.id);
+//================ Tour guides =========================
+exports.getTourGuides = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findById(req.params.id, 'guides', req.queryOptions);
 
-  if(!tour) {
+  if (!tour) {
     return next(new AppError('No tour found with the provided ID', 404));
   }
 
-  res.status(204).send({
+  res.status(200).json({
     status: 'success',
-    data: null
+    results: tour.guides.length,
+    data: {
+      guides: tour.guides
+    }
   });
+});
 
-  //First Iteration
-  // try {
-  //   await Tour.findByIdAndDelete(req.params.id);
+//Adds or removes the guides with ids in req.body.guides. Saving runs the validator which checks their roles
+//saveOptions of the removal skip it, the guides left on the tour should not keep them from being taken out
+const changeTourGuides = (change, saveOptions) =>
+  catchAsync(async (req, res, next) => {
+    const { guides } = req.body;
+    if (!Array.isArray(guides) || guides.length === 0) {
+      return next(new AppError('Please provide an array of guide ids', 400));
+    }
 
-  //   res.status(204).send({
-  //     status: 'success',
-  //     data: null
-  //   });
-  // } catch (err) {
-  //   res.status(400).json({
-  //     status: 'fail',
-  //     message: err
-  //   });
-  // }
-});
+    const tour = await Tour.findById(req.params.id, null, req.queryOptions);
+    if (!tour) {
+      return next(new AppError('No tour found with the provided ID', 404));
+    }
 
-//======== AGGREGATION PIPELINE ADDED =============
+    //guides are populated by the query middleware so the change is made on their ids
+    //depopulate() puts back a plain array, assigning the new ids casts them again
+    const guideIds = (tour.populated('guides') || tour.guides).map(String);
+    tour.depopulate('guides');
+    tour.guides = change(guideIds, guides);
+    await tour.save(saveOptions);
 
-//Take a look at docs here: https://docs.mongodb.com/manual/reference/operator/aggregation-pipeline/
-exports.getToursStats = catchAsync(async (req, res, next) => {
-  const stats = await Tour.aggregate([
-      {
-        $match: {
-          ratingAverage: { $gte: 4.5 }
-        }
-      },
-      {
-        $group: {
-          _id: '$difficulty',
-          numTours: { $sum: 1 },
-          numRatings: { $sum: '$ratingQuantity' },
-          averageRating: { $avg: '$ratingAverage' },
-          averagePrice: { $avg: '$price' },
-          maxPrice: { $max: '$price' },
-          minPrice: { $max: '$price' }
-        }
-      },
-      {
-        $sort: { averagePrice: 1 }
-      }
-    ]);
+    const updatedTour = await Tour.findById(tour._id, null, req.queryOptions);
 
-    res.json({
+    res.status(200).json({
       status: 'success',
-      results: stats.length,
       data: {
-        stats
+        tour: updatedTour
       }
     });
+  });
+
+exports.addTourGuides = changeTourGuides((guideIds, guides) => [
+  ...new Set([...guideIds, ...guides])
+]);
+exports.removeTourGuides = changeTourGuides(
+  (guideIds, guides) => guideIds.filter(id => !guides.includes(id)),
+  { validateBeforeSave: false }
+);
+
+//======== AGGREGATION PIPELINE ADDED =============
+
+//Tours which are in the most wishlists, only the tours matching the filters are ranked
+//Hidden tours are ranked as well, only the deleted ones are left out
+const getMostWishlisted = async (tourMatch, limit) => {
+  //Filters are on the fields of the looked up tour
+  const match = { 'tourDoc.0': { $exists: true } };
+  Object.keys(tourMatch).forEach(field => {
+    match[`tourDoc.${field}`] = tourMatch[field];
+  });
+
+  const mostWishlisted = await Wishlist.aggregate([
+    {
+      $group: {
+        _id: '$tour',
+        numWishlisted: { $sum: 1 }
+      }
+    },
+    {
+      $lookup: {
+        from: 'tours',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'tourDoc'
+      }
+    },
+    {
+      $match: match
+    },
+    {
+      $sort: { numWishlisted: -1, _id: 1 }
+    },
+    {
+      $limit: limit
+    },
+    {
+      $project: {
+        _id: 0,
+        tour: '$_id',
+        name: { $arrayElemAt: ['$tourDoc.name', 0] },
+        numWishlisted: 1
+      }
+    }
+  ]);
+
+  return mostWishlisted.map((el, i) => ({ rank: i + 1, ...el }));
+};
+
+//Take a look at docs here: https://docs.mongodb.com/manual/reference/operator/aggregation-pipeline/
+//?groupBy=<field> (default difficulty) with the same filters as the tours list eg: ?groupBy=duration&price[lt]=1000
+//Without any filter only the top rated tours (ratingAverage >= 4.5) are counted
+//?ranking=mostWishlisted&limit=5 ranks the tours by the number of wishlists they are in instead of grouping them
+exports.getToursStats = catchAsync(async (req, res, next) => {
+  const { groupBy = 'difficulty', ranking, limit = 10, ...filters } = req.query;
+  delete filters.format;
+
+  //Query strings are cast to the types of the schema as aggregate does not do it
+  const filterMatch =
+    Object.keys(filters).length > 0
+      ? new APIfeatures(Tour.find(), filters)
+          .filter(filterableFields)
+          .query.cast(Tour)
+      : {};
+
+  if (ranking === 'mostWishlisted') {
+    const rows = await getMostWishlisted(filterMatch, limit);
+    return csv.sendRows(req, res, 'mostWishlisted', rows);
+  }
 
+  const match =
+    Object.keys(filterMatch).length > 0
+      ? filterMatch
+      : { ratingAverage: { $gte: 4.5 } };
+
+  const stats = await Tour.aggregate([
+    {
+      $match: match
+    },
+    {
+      $group: {
+        _id: `$${groupBy}`,
+        numTours: { $sum: 1 },
+        numRatings: { $sum: '$ratingQuantity' },
+        averageRating: { $avg: '$ratingAverage' },
+        averagePrice: { $avg: '$price' },
+        maxPrice: { $max: '$price' },
+        minPrice: { $min: '$price' }
+      }
+    },
+    {
+      $addFields: { [groupBy]: '$_id' }
+    },
+    {
+      $project: { _id: 0 }
+    },
+    {
+      $sort: { averagePrice: 1 }
+    }
+  ]);
+
+  csv.sendRows(req, res, 'stats', stats);
 
   //First Iteration
   // try {
@@ -343,13 +473,7 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
     }
   ]);
 
-  res.json({
-    status: 'success',
-    results: plan.length,
-    data: {
-      plan
-    }
-  });
+  csv.sendRows(req, res, 'plan', plan);
 
   //First Iteration
   // try {
@@ -406,6 +530,104 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
   // }
 });
 
+//======== GEOSPATIAL QUERIES =============
+
+//Parses '34.111745,-118.113491' into [lat, lng] and fails if the format is wrong
+const parseLatLng = (latlng, next) => {
+  const [lat, lng] = latlng.split(',').map(el => parseFloat(el));
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    next(
+      new AppError(
+        'Please provide latitude and longitude in the format lat,lng',
+        400
+      )
+    );
+    return null;
+  }
+
+  return [lat, lng];
+};
+
+//Only miles and kilometers are supported
+const checkUnit = (unit, next) => {
+  if (unit !== 'mi' && unit !== 'km') {
+    next(new AppError('Unit should be either mi or km', 400));
+    return false;
+  }
+
+  return true;
+};
+
+// /tours-within/233/center/34.111745,-118.113491/unit/mi
+exports.getToursWithin = catchAsync(async (req, res, next) => {
+  const { distance, latlng, unit } = req.params;
+
+  if (!checkUnit(unit, next)) return;
+  const coords = parseLatLng(latlng, next);
+  if (!coords) return;
+  const [lat, lng] = coords;
+
+  if (!(distance * 1 > 0)) {
+    return next(new AppError('Distance should be a positive number', 400));
+  }
+
+  //$centerSphere expects the radius in radians so we divide by the radius of the earth
+  const radius = unit === 'mi' ? distance / 3963.2 : distance / 6378.1;
+
+  const tours = await Tour.find({
+    startLocation: { $geoWithin: { $centerSphere: [[lng, lat], radius] } }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: tours.length,
+    data: {
+      tours
+    }
+  });
+});
+
+// /distances/34.111745,-118.113491/unit/km
+exports.getDistances = catchAsync(async (req, res, next) => {
+  const { latlng, unit } = req.params;
+
+  if (!checkUnit(unit, next)) return;
+  const coords = parseLatLng(latlng, next);
+  if (!coords) return;
+  const [lat, lng] = coords;
+
+  //$geoNear gives the distance in meters
+  const multiplier = unit === 'mi' ? 0.000621371 : 0.001;
+
+  const distances = await Tour.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: [lng, lat]
+        },
+        distanceField: 'distance',
+        distanceMultiplier: multiplier
+      }
+    },
+    {
+      $project: {
+        distance: 1,
+        name: 1
+      }
+    }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: distances.length,
+    data: {
+      distances
+    }
+  });
+});
+
 //========================= Importing data from JSON file==========================
 
 // const fs = require('fs');
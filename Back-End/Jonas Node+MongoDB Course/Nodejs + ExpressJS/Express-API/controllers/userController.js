@@ -1,9 +1,17 @@
 const catchAsync = require('../utils/catchAsync.js');
 const AppError = require('../utils/appError.js');
 const User = require('../models/userModel.js');
+const factory = require('./handlerFactory.js');
+const authController = require('./authController.js');
+const logger = require('../utils/logger.js');
 
-const multer = require('multer');
+const fs = require('fs');
+const util = require('util');
+const path = require('path');
 const sharp = require('sharp');
+const upload = require('../utils/imageUpload.js');
+
+const unlink = util.promisify(fs.unlink);
 
 //Stating the storage factors for the file being uploaded
 // const multerStorage = multer.diskStorage({
@@ -17,45 +25,64 @@ const sharp = require('sharp');
 //   }
 // });
 
-//Multer storage while using sharp
-const multerStorage = multer.memoryStorage();
-
-//Creating a filter to allow certain files to be uploaded
-const multerFilter = (req, file, callBack) => {
-  if(file.mimetype.startsWith('image')) {
-    callBack(null, true);
-  } else {
-    callBack(new AppError('Please upload an image', 400), false);
-  }
-}
+//Multer storage while using sharp (memory storage & image filter are shared with tours in utils/imageUpload.js)
+exports.uploadUserPhoto = upload.single('photo');
 
-const upload = multer({
-  storage: multerStorage,
-  fileFilter: multerFilter
-});
+//Every uploaded photo is saved in these sizes, photo field of the user keeps the name of the main (500px) one
+const photoDir = path.join(__dirname, '../public/img/users');
+const photoSizes = [
+  { suffix: '', size: 500 },
+  { suffix: '-thumb', size: 100 }
+];
 
-exports.uploadUserPhoto = upload.single('photo');
+//user-<id>-<timestamp>.jpeg => user-<id>-<timestamp>-thumb.jpeg
+const photoFileName = (filename, suffix) => filename.replace(/\.jpeg$/, `${suffix}.jpeg`);
 
-exports.resizeUserPhote = (req, res, next) => {
+exports.resizeUserPhoto = catchAsync(async (req, res, next) => {
   if(!req.file) return next();
 
   req.file.filename = `user-${req.user.id}-${Date.now()}.jpeg`;
 
-  sharp(req.file.buffer).resize(500, 500).toFormat('jpeg').jpeg({ quality: 90 }).toFile(`public/img/users/${req.file.filename}`);
+  //Waiting for all the sizes to be written before the user document points to them
+  await Promise.all(
+    photoSizes.map(el =>
+      sharp(req.file.buffer)
+        .resize(el.size, el.size)
+        .toFormat('jpeg')
+        .jpeg({ quality: 90 })
+        .toFile(path.join(photoDir, photoFileName(req.file.filename, el.suffix)))
+    )
+  );
 
   next();
+});
+
+//Removes all the sizes of the replaced photo (the default photo is shared so it is never removed)
+const deletePhotoFiles = async filename => {
+  if(!filename || filename === 'default.jpg') return;
+
+  await Promise.all(
+    photoSizes.map(el =>
+      unlink(path.join(photoDir, photoFileName(filename, el.suffix))).catch(err => {
+        //Older photos might not have every size
+        if(err.code !== 'ENOENT') throw err;
+      })
+    )
+  );
 }
 
-//================ Get all users =========================
-exports.getAllUsers = catchAsync(async (req, res, next) => {
-  const user = await User.find();
-  res.status(200).json({
-    status: 'success',
-    length: user.length,
-    data: {
-      user
-    }
+//Keeps only the allowed fields of the object
+const filterObj = (obj, ...allowedFields) => {
+  const newObj = {};
+  Object.keys(obj).forEach(el => {
+    if(allowedFields.includes(el)) newObj[el] = obj[el];
   });
+  return newObj;
+}
+
+//================ Get all users =========================
+exports.getAllUsers = factory.getAll(User, {
+  filterableFields: ['name', 'email', 'role']
 });
 
 exports.getMe = (req, res, next) => {
@@ -63,7 +90,7 @@ exports.getMe = (req, res, next) => {
   next();
 }
 
-exports.updateMe = (req, res, next) => {
+exports.updateMe = catchAsync(async (req, res, next) => {
   //1) Create error if the user updates the password data
   if (req.body.password || req.body.passConfirm) {
     return next(
@@ -74,23 +101,41 @@ exports.updateMe = (req, res, next) => {
     );
   }
 
-  //3) Filetring out the body in the request with permitted fields
-  const filteredBody = finterObj(req.body, 'name', 'email');
+  //2) Filetring out the body in the request with permitted fields
+  const filteredBody = filterObj(req.body, 'name', 'email');
   if(req.file) filteredBody.photo = req.file.filename;
 
-  //2) Update user document
-  const updatedUser = User.findByIdAndUpdate(req.user.id, filteredBody, {
+  //A new email has to be verified again
+  const emailChanged = filteredBody.email !== undefined && `${filteredBody.email}`.toLowerCase() !== req.user.email;
+  if(emailChanged) filteredBody.emailVerified = false;
+
+  //3) Update user document
+  const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
     new: true,
     runValidators: true
   });
 
+  //4) Remove the old photo once the user points to the new one
+  if(req.file && req.user.photo !== updatedUser.photo) {
+    await deletePhotoFiles(req.user.photo);
+  }
+
+  //5) Send the verification link to the new email, it can be sent again from /resendVerification if this fails
+  if(emailChanged) {
+    try {
+      await authController.sendVerificationEmail(updatedUser, req);
+    } catch (err) {
+      logger.warn('Verification email could not be sent', {userId: updatedUser.id, error: err.message});
+    }
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
       user: updatedUser
     }
   });
-};
+});
 
 exports.deleteMe = catchAsync(async (req, res, next) => {
   await User.findByIdAndUpdate(req.user.id, {active: false});
@@ -101,34 +146,21 @@ exports.deleteMe = catchAsync(async (req, res, next) => {
   })
 });
 
+//================ ADMIN CRUD (restricted to admin in routes) =========================
+
 //================ Add new users =========================
-exports.addNewUser = (req, res) => {
-  res.status(503).send({
-    status: 'error',
-    message: 'This route is not defined yet'
-  });
-};
+exports.addNewUser = factory.createOne(User, {
+  allowedFields: ['name', 'email', 'photo', 'role', 'password', 'passConfirm']
+});
 
 //================ Get single users =========================
-exports.getSingleUser = (req, res) => {
-  res.status(503).send({
-    status: 'error',
-    message: 'This route is not defined yet'
-  });
-};
+exports.getSingleUser = factory.getOne(User);
 
 //================ Update single users =========================
-exports.updateSingleUser = (req, res) => {
-  res.status(503).send({
-    status: 'error',
-    message: 'This route is not defined yet'
-  });
-};
+//Passwords are not allowed here as findByIdAndUpdate does not run the save hooks which hash them
+exports.updateSingleUser = factory.updateOne(User, {
+  allowedFields: ['name', 'email', 'photo', 'role']
+});
 
 //================ Delete a users =========================
-exports.deleteSingleUser = (req, res) => {
-  res.status(503).send({
-    status: 'error',
-    message: 'This route is not defined yet'
-  });
-};
+exports.deleteSingleUser = factory.deleteOne(User);
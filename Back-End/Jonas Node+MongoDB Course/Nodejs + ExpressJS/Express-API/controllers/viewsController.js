@@ -0,0 +1,47 @@
+const Tour = require('../models/tourModel.js');
+const catchAsync = require('../utils/catchAsync.js');
+const AppError = require('../utils/appError.js');
+
+//Rendered pages of the website. The templates are in /views (converted from dev-data/templates)
+
+//================ Overview page =========================
+exports.getOverview = catchAsync(async (req, res, next) => {
+  const tours = await Tour.find();
+
+  res.status(200).render('overview', {
+    title: 'All Tours',
+    tours
+  });
+});
+
+//================ Single tour page =========================
+exports.getTour = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findOne({ slug: req.params.slug }).populate({
+    path: 'reviews',
+    select: 'review rating user'
+  });
+
+  if (!tour) {
+    return next(new AppError('There is no tour with that name', 404));
+  }
+
+  res.status(200).render('tour', {
+    title: `${tour.name} Tour`,
+    tour
+  });
+});
+
+//================ Login page =========================
+exports.getLoginForm = (req, res) => {
+  res.status(200).render('login', {
+    title: 'Log into your account'
+  });
+};
+
+//================ Account page =========================
+//user is already available in the template through res.locals (set by authController.protect)
+exports.getAccount = (req, res) => {
+  res.status(200).render('account', {
+    title: 'Your account'
+  });
+};
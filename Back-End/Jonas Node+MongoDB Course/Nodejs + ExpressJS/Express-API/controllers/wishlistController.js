@@ -0,0 +1,68 @@
+const Wishlist = require('../models/wishlistModel.js');
+const Tour = require('../models/tourModel.js');
+const catchAsync = require('../utils/catchAsync.js');
+const AppError = require('../utils/appError.js');
+
+//Wishlist of the logged in user (/users/me/wishlist), the tours are sent in the order they were added (latest first)
+
+//================ Get my wishlist =========================
+exports.getMyWishlist = catchAsync(async (req, res, next) => {
+  //Populate goes through the query middleware of tours so the hidden (or deleted) ones come back as null
+  const items = await Wishlist.find({ user: req.user.id })
+    .sort('-createdAt')
+    .populate({
+      path: 'tour',
+      select:
+        'name slug summary imageCover price priceDiscount ratingAverage duration startDates'
+    });
+  const wishlist = items
+    .filter(el => el.tour)
+    .map(el => ({ tour: el.tour, addedAt: el.createdAt }));
+
+  res.status(200).json({
+    status: 'success',
+    results: wishlist.length,
+    data: {
+      wishlist
+    }
+  });
+});
+
+//================ Add a tour =========================
+//Adding a tour which is already in the wishlist keeps it as it is
+exports.addToWishlist = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findById(req.body.tour).select('_id');
+  if (!tour) {
+    return next(new AppError('No tour found with the provided ID', 404));
+  }
+
+  //Upsert is atomic so two adds at the same time don't run into the unique index
+  const { value: item, lastErrorObject } = await Wishlist.findOneAndUpdate(
+    { user: req.user.id, tour: tour._id },
+    { $setOnInsert: { createdAt: Date.now() } },
+    { upsert: true, new: true, rawResult: true }
+  );
+
+  res.status(lastErrorObject.updatedExisting ? 200 : 201).json({
+    status: 'success',
+    data: {
+      wishlist: { tour: item.tour, addedAt: item.createdAt }
+    }
+  });
+});
+
+//================ Remove a tour =========================
+exports.removeFromWishlist = catchAsync(async (req, res, next) => {
+  const item = await Wishlist.findOneAndDelete({
+    user: req.user.id,
+    tour: req.body.tour
+  });
+  if (!item) {
+    return next(new AppError('This tour is not in your wishlist', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
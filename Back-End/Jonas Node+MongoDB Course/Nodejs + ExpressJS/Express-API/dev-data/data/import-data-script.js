@@ -1,55 +1,344 @@
-const mongoose = require('mongoose');
-const path = require('path');
-const dotenv = require('dotenv').config({ path: '../../.env' });
 const fs = require('fs');
-const Tour = require('../../models/tourModel');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+
+const Tour = require('../../models/tourModel.js');
+const User = require('../../models/userModel.js');
+const Review = require('../../models/reviewModel.js');
+const Booking = require('../../models/bookingModel.js');
+const Wishlist = require('../../models/wishlistModel.js');
+const TourDate = require('../../models/tourDateModel.js');
+
+//Seeds, wipes or exports the collections of the api (npm run data -- <action> [options])
+const usage = `
+Actions:
+  --import             inserts the documents of the files, keeping their _id
+  --delete             deletes all the documents of the collections
+  --export [dir]       writes the collections to <dir>/<collection>.json (default dev-data/export)
+
+Options:
+  --collections a,b    only these collections (default: users,tours,reviews,bookings,wishlists)
+  --dir <dir>          folder of the files to import (default dev-data/data), <collection>.json or .ndjson
+  --file <name>=<file> file of one collection eg: --file tours=tours-simple.json
+  --format json|ndjson format of the export (default json)
+  --dry-run            only shows what would be done
+  --db <uri>           mongodb uri (default DATABASE of .env) eg: mongodb://127.0.0.1:27017/natours
+  --in-memory          uses a throwaway in-memory mongodb, handy to check that the files import cleanly
+`;
+
+//Order of the import: tours reference users (guides), reviews, bookings & wishlists reference both
+const collections = {
+  users: User,
+  tours: Tour,
+  reviews: Review,
+  bookings: Booking,
+  wishlists: Wishlist
+};
+
+//================ Arguments =========================
+const parseArgs = argv => {
+  const args = {
+    collections: Object.keys(collections),
+    dir: __dirname,
+    files: {},
+    format: 'json',
+    dryRun: false,
+    inMemory: false
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = () => {
+      i += 1;
+      if (!argv[i] || argv[i].startsWith('--')) {
+        throw new Error(`${arg} needs a value`);
+      }
+      return argv[i];
+    };
+
+    if (arg === '--import' || arg === '--delete') {
+      args.action = arg.slice(2);
+    } else if (arg === '--export') {
+      args.action = 'export';
+      //The folder is optional
+      const next = argv[i + 1];
+      args.exportDir =
+        next && !next.startsWith('--')
+          ? argv[(i += 1)]
+          : path.join(__dirname, '../export');
+    } else if (arg === '--collections') {
+      args.collections = value().split(',');
+    } else if (arg === '--dir') {
+      args.dir = value();
+    } else if (arg === '--file') {
+      const [name, file] = value().split('=');
+      args.files[name] = file;
+    } else if (arg === '--format') {
+      args.format = value();
+    } else if (arg === '--db') {
+      args.db = value();
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--in-memory') {
+      args.inMemory = true;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  const unknown = args.collections.filter(el => !collections[el]);
+  if (unknown.length) {
+    throw new Error(`Unknown collection(s): ${unknown.join(', ')}`);
+  }
+  if (!['json', 'ndjson'].includes(args.format)) {
+    throw new Error('Format should be either json or ndjson');
+  }
+  if (Object.keys(args.files).some(el => !collections[el])) {
+    throw new Error('--file should be <collection>=<file>');
+  }
+
+  //Always in the order of the collections object, whatever order was given
+  args.collections = Object.keys(collections).filter(el =>
+    args.collections.includes(el)
+  );
+  return args;
+};
+
+//Runs fn on the items one after the other and resolves with the results
+//Documents are imported in order as the hooks of one may need the previous ones (eg. ratings, sold out dates)
+const inSeries = (items, fn) =>
+  items.reduce(
+    (previous, item) =>
+      previous.then(results => fn(item).then(result => [...results, result])),
+    Promise.resolve([])
+  );
 
-const DB = process.env.DATABASE.replace(
-  '<PASSWORD>',
-  process.env.DATABASE_PASSWORD
-);
+//================ Database =========================
+//Returns a function which closes the connection (and the in-memory server)
+const connect = async args => {
+  let uri = args.db;
+  let memoryServer;
 
-mongoose
-  .connect(DB, {
+  if (args.inMemory) {
+    //Dev dependency, only loaded when asked for so that the other actions work on a production install
+    // eslint-disable-next-line global-require
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  if (!uri) {
+    uri = process.env.DATABASE.replace(
+      '<PASSWORD>',
+      process.env.DATABASE_PASSWORD
+    );
+  }
+
+  await mongoose.connect(uri, {
     useNewUrlParser: true,
     useCreateIndex: true,
     useFindAndModify: false,
     useUnifiedTopology: true
-  })
-  // .then((con) => {//for seeing more info
-  .then(() => {
-    // console.log(con.connection);//to see more info about the connection
-    console.log('MongoDB connected successfully');
   });
+  console.log('MongoDB connected successfully');
 
-const tours = JSON.parse(
-  fs.readFileSync(path.join(__dirname, './tours-simple.json'), 'utf-8')
-);
+  return async () => {
+    await mongoose.disconnect();
+    if (memoryServer) await memoryServer.stop();
+  };
+};
 
-const importData = async () => {
-  try {
-    await Tour.create(tours);
-    console.log('Data successfully imported');
-  } catch (err) {
-    console.log(err);
+//================ Import =========================
+//Files are either a json array or one json document per line (ndjson)
+const readDocs = file => {
+  const content = fs.readFileSync(file, 'utf-8');
+  if (file.endsWith('.ndjson')) {
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
   }
-  process.exit();
+  return JSON.parse(content);
+};
+
+const findFile = (args, name) => {
+  if (args.files[name]) return path.resolve(args.files[name]);
+
+  return [`${name}.json`, `${name}.ndjson`]
+    .map(file => path.resolve(args.dir, file))
+    .find(file => fs.existsSync(file));
+};
+
+//bcrypt hashes start with $2a$, $2b$ or $2y$ and the cost
+const isHashed = password => /^\$2[aby]\$\d{2}\$/.test(password || '');
+
+//Users with an already hashed password skip the save hook, else the hash would be hashed again
+const skipsHooks = (Model, doc) => Model === User && isHashed(doc.password);
+
+//Imported documents may belong to hidden tours or past start dates, the booking hooks read the tours with includeHidden for them
+const buildDocs = (Model, rawDocs) =>
+  rawDocs.map(raw => {
+    const doc = new Model(raw);
+    doc.$locals.importing = true;
+    //Confirmation is only needed for plain passwords
+    if (skipsHooks(Model, doc)) doc.$ignore('passConfirm');
+    return doc;
+  });
+
+//Reports the documents which would be imported, only the sync validators run so nothing is read from the database
+const dryRunImport = (name, Model, docs) => {
+  const invalid = docs.filter(doc => doc.validateSync());
+  const hashed = docs.filter(doc => skipsHooks(Model, doc)).length;
+
+  console.log(
+    `${name}: ${docs.length - invalid.length} document(s) would be imported${
+      hashed ? ` (${hashed} with a hashed password)` : ''
+    }`
+  );
+  invalid.forEach(doc =>
+    console.log(`  💥 ${doc._id}: ${doc.validateSync().message}`)
+  );
+  return invalid.length;
 };
 
-const deleteData = async () => {
+//Returns false if the document could not be imported
+const importDoc = async (Model, doc) => {
   try {
-    await Tour.deleteMany();
-    console.log('Data successfully deleted');
+    if (skipsHooks(Model, doc)) {
+      await doc.validate();
+      await Model.collection.insertOne(doc.toObject({ virtuals: false }));
+    } else {
+      await doc.save();
+    }
+    return true;
   } catch (err) {
-    console.log(err);
+    console.log(`  💥 ${doc._id}: ${err.message}`);
+    return false;
+  }
+};
+
+//Documents are saved one by one so that the hooks (ratings, sold out dates, capacity) see the previous ones
+const importDocs = async (name, Model, docs) => {
+  await Model.init(); //unique indexes have to exist before inserting without mongoose
+
+  const results = await inSeries(docs, doc => importDoc(Model, doc));
+  const failed = results.filter(imported => !imported).length;
+
+  console.log(`${name}: ${docs.length - failed} document(s) imported`);
+  return failed;
+};
+
+//Returns the number of documents which failed
+const importCollection = async (args, name) => {
+  const file = findFile(args, name);
+  if (!file) {
+    console.log(`${name}: no file found, skipped`);
+    return 0;
+  }
+
+  const docs = buildDocs(collections[name], readDocs(file));
+  return args.dryRun
+    ? dryRunImport(name, collections[name], docs)
+    : importDocs(name, collections[name], docs);
+};
+
+const importData = async args => {
+  const failed = await inSeries(args.collections, name =>
+    importCollection(args, name)
+  );
+  return failed.reduce((sum, el) => sum + el, 0);
+};
+
+//================ Delete =========================
+//Raw collection is used so that no query middleware (eg. hidden secret tours or inactive users) skips documents
+const deleteCollection = async (args, name) => {
+  const { collection } = collections[name];
+
+  if (args.dryRun) {
+    const count = await collection.countDocuments();
+    console.log(`${name}: ${count} document(s) would be deleted`);
+    return;
+  }
+
+  const { deletedCount } = await collection.deleteMany({});
+  console.log(`${name}: ${deletedCount} document(s) deleted`);
+  //Seats taken on the start dates are counted again by the next bookings
+  if (name === 'bookings') await TourDate.collection.deleteMany({});
+};
+
+//Referencing collections are deleted first
+const deleteData = args =>
+  inSeries([...args.collections].reverse(), name =>
+    deleteCollection(args, name)
+  );
+
+//================ Export =========================
+//Raw documents are exported (with the hashed passwords) so that the files can be imported back as they are
+const exportCollection = async (args, name) => {
+  const { collection } = collections[name];
+  const file = path.join(args.exportDir, `${name}.${args.format}`);
+
+  if (args.dryRun) {
+    const count = await collection.countDocuments();
+    console.log(`${name}: ${count} document(s) would be written to ${file}`);
+    return;
+  }
+
+  let count = 0;
+  if (args.format === 'ndjson') {
+    const out = fs.createWriteStream(file);
+    await collection.find({}).forEach(doc => {
+      out.write(`${JSON.stringify(doc)}\n`);
+      count += 1;
+    });
+    await new Promise((resolve, reject) =>
+      out.on('error', reject).end(resolve)
+    );
+  } else {
+    const docs = await collection.find({}).toArray();
+    fs.writeFileSync(file, `${JSON.stringify(docs, null, 2)}\n`);
+    count = docs.length;
   }
-  process.exit();
+
+  console.log(`${name}: ${count} document(s) written to ${file}`);
+};
+
+const exportData = async args => {
+  if (!args.dryRun) fs.mkdirSync(args.exportDir, { recursive: true });
+
+  await inSeries(args.collections, name => exportCollection(args, name));
 };
 
-console.log(process.argv);
+//================ Main =========================
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.action) {
+    console.log(usage);
+    return 1;
+  }
+
+  if (args.dryRun) console.log('Dry run, nothing will be written');
 
-if (process.argv[2] === '--import') {
-  importData();
-} else if (process.argv[2] === '--delete') {
-  deleteData();
-}
+  //Dry run of the import only validates the files so it does not need a database
+  if (args.action === 'import' && args.dryRun) {
+    return (await importData(args)) ? 1 : 0;
+  }
+
+  const disconnect = await connect(args);
+  try {
+    if (args.action === 'import') return (await importData(args)) ? 1 : 0;
+    if (args.action === 'delete') await deleteData(args);
+    if (args.action === 'export') await exportData(args);
+    return 0;
+  } finally {
+    await disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.log('💥', err.message);
+    process.exit(1);
+  });
@@ -8,17 +8,32 @@ const xss = require('xss-clean');
 const hpp = require('hpp');
 const compression = require('compression');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 
 const app = express();
 
+//Setting up pug for the server rendered website
+app.set('view engine', 'pug');
+app.set('views', path.join(__dirname, 'views'));
+
 const tourRoute = require(path.join(__dirname, './routes/tourRoutes.js'));
 const userRoute = require(path.join(__dirname, './routes/userRoutes.js'));
+const reviewRoute = require(path.join(__dirname, './routes/reviewRoutes.js'));
+const bookingRoute = require(path.join(__dirname, './routes/bookingRoutes.js'));
+const analyticsRoute = require(path.join(__dirname, './routes/analyticsRoutes.js'));
+const viewRoute = require(path.join(__dirname, './routes/viewRoutes.js'));
+const bookingController = require(path.join(__dirname, './controllers/bookingController.js'));
+const paymentProvider = require(path.join(__dirname, './utils/paymentProvider.js'));
 
 const globalErrorHandler = require(path.join(__dirname,'./controllers/errorController.js'));
 const appError = require(path.join(__dirname, './utils/appError.js'));
+const requestLogger = require(path.join(__dirname, './utils/requestLogger.js'));
 
 //My custom middleware
 
+//Request id is set first so that every log & error of the request can carry it
+app.use(requestLogger.requestId);
+
 //Implementing CORS
 //1) If we have to allow every domain to access our api
 app.use(cors()); //will allow requests from all domains.
@@ -43,18 +58,28 @@ app.use(helmet());
 
 if(process.env.NODE_ENV === 'development'){
   app.use(morgan('dev'));
+} else {
+  app.use(requestLogger.logRequest); //json logs with status, duration & user of every request
 }
 
 //Rate limiter
 const limiter = rateLimit({
   max: 100,
   windowMs: 60*60*1000,
-  message: 'Too many request from this IP please try again later after an hour'
+  //passed to the global error handler so that it is sent like every other error
+  handler: (req, res, next) => {
+    next(new appError('Too many request from this IP please try again later after an hour', 429, 'RATE_LIMITED'));
+  }
 });
 app.use('/api', limiter);
 
+//Payment webhook needs the raw body to verify the signature, so it is mounted before the body parser
+app.post('/webhook-checkout', express.raw({ type: 'application/json' }), bookingController.webhookCheckout);
+
 //External Middleware
 app.use(express.json({ limit: '10kb' }));
+app.use(express.urlencoded({ extended: true, limit: '10kb' })); //for the forms of rendered pages
+app.use(cookieParser()); //parses the jwt_cookie so that browser sessions can be authenticated
 app.use(mongoSanitize()); //this will eliminate all the query injections
 app.use(xss()); //this will eliminate the code injections (html, js etc)
 app.use(hpp({
@@ -73,8 +98,13 @@ app.use(compression());
 app.use(express.static(path.join(__dirname+'/public')));
 
 //Routes Mounting.
+app.use('/', viewRoute);
 app.use('/api/v1/tours', tourRoute);
 app.use('/api/v1/users', userRoute);
+app.use('/api/v1/reviews', reviewRoute);
+app.use('/api/v1/bookings', bookingRoute);
+app.use('/api/v1/analytics', analyticsRoute);
+if (paymentProvider.router) app.use(paymentProvider.router); //eg. the payment page of the fake provider
 
 
 // ================== ERROR HANDLING ===============
@@ -98,7 +128,7 @@ app.all('*', (req, res, next) => {
 
   //Iteration 3 (final iteration)
   //Using the newly created appError class to reduce redundant creation of error handling code
-  next(new appError(`${req.originalUrl} was not found on the server. Please check the Url :D`));
+  next(new appError(`${req.originalUrl} was not found on the server. Please check the Url :D`, 404));
 });
 
 //Global Error handling middleware
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Tour = require('./tourModel.js');
+const TourDate = require('./tourDateModel.js');
+const AppError = require('../utils/appError.js');
+
+//Every booking is one participant on one of the startDates of the tour
+const bookingSchema = new mongoose.Schema({
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tour',
+    required: [true, 'Booking must belong to a tour']
+  },
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Booking must belong to a user']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Booking must have a price']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Booking must have a start date']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  paid: {
+    type: Boolean,
+    default: false
+  },
+  //Checkout session of the payment provider, makes repeated webhooks record the purchase only once
+  paymentSessionId: String,
+  //Paid after the start date sold out (or the tour went away), it takes no seat & the admins have to refund it
+  needsRefund: {
+    type: Boolean,
+    default: false
+  }
+});
+
+bookingSchema.index({ tour: 1, startDate: 1 });
+bookingSchema.index({ paymentSessionId: 1 }, { unique: true, sparse: true });
+
+//=================== QUERY MIDDLEWARE  =====================
+
+bookingSchema.pre(/^find/, function(next) {
+  this.populate('user', 'name email').populate({
+    path: 'tour',
+    select: 'name slug'
+  });
+  next();
+});
+
+//==================== STATIC METHODS ===============
+
+//Recalculates which startDates of the tour have no places left
+//Hidden tours are included as bookings of a tour stay after it gets unpublished
+bookingSchema.statics.calcSoldOutDates = async function(tourId) {
+  const tour = await Tour.findById(tourId, 'maxGroupSize', {
+    includeHidden: true
+  });
+  if (!tour) return;
+
+  const stats = await this.aggregate([
+    {
+      $match: { tour: tour._id, needsRefund: { $ne: true } }
+    },
+    {
+      $group: {
+        _id: '$startDate',
+        participants: { $sum: 1 }
+      }
+    },
+    {
+      $match: { participants: { $gte: tour.maxGroupSize } }
+    }
+  ]);
+
+  await Tour.findByIdAndUpdate(
+    tourId,
+    { soldOutDates: stats.map(el => el._id) },
+    { includeHidden: true }
+  );
+};
+
+//================== DOCUMENT MIDDLEWARE  ========================
+
+//startDate has to be one of the upcoming dates of a published tour and it should still have a place left
+//The seat is reserved on the TourDate counter before the booking is inserted and given back if the insert fails
+bookingSchema.pre('save', async function(next) {
+  if (!this.isNew) {
+    if (this.isModified('startDate') || this.isModified('tour')) {
+      return next(
+        new AppError(
+          'The tour or start date of a booking can not be changed, please make a new booking',
+          400
+        )
+      );
+    }
+    return next();
+  }
+  if (this.needsRefund) return next();
+
+  const tourId = this.tour._id || this.tour;
+  //Bookings imported by the data CLI keep their past start dates & hidden tours
+  const tour = await Tour.findById(
+    tourId,
+    'startDates maxGroupSize',
+    this.$locals.importing ? { includeHidden: true } : {}
+  );
+  if (!tour) {
+    return next(new AppError('No tour found with the provided ID', 404));
+  }
+
+  const startDate = new Date(this.startDate).getTime();
+  if (!tour.startDates.some(el => el.getTime() === startDate)) {
+    return next(
+      new AppError(
+        'The tour does not start on the given date',
+        400,
+        'INVALID_START_DATE'
+      )
+    );
+  }
+
+  const seat = await TourDate.reserveSeat(
+    tour._id,
+    this.startDate,
+    tour.maxGroupSize,
+    () =>
+      this.constructor.countDocuments({
+        tour: tour._id,
+        startDate: this.startDate,
+        needsRefund: { $ne: true }
+      })
+  );
+  if (!seat) {
+    return next(
+      new AppError('The tour is sold out on the given date', 400, 'SOLD_OUT')
+    );
+  }
+  this.$locals.seatReserved = true;
+
+  next();
+});
+
+bookingSchema.post('save', async function() {
+  this.$locals.seatReserved = false;
+  await this.constructor.calcSoldOutDates(this.tour._id || this.tour);
+});
+
+//Error middleware: the booking was not inserted (eg. a duplicate paymentSessionId) so its seat is given back
+bookingSchema.post('save', function(error, doc, next) {
+  if (!this.$locals.seatReserved) return next(error);
+
+  this.$locals.seatReserved = false;
+  TourDate.releaseSeat(this.tour._id || this.tour, this.startDate).then(
+    () => next(error),
+    () => next(error)
+  );
+});
+
+bookingSchema.post(/^findOneAnd/, async function(doc) {
+  if (!doc) return;
+
+  //Populated tour is null once the tour is hidden or deleted, its id is still kept by populated()
+  const tourId = doc.populated('tour') || doc.tour;
+  const deleted =
+    this.op === 'findOneAndDelete' || this.op === 'findOneAndRemove';
+  if (deleted && !doc.needsRefund) {
+    await TourDate.releaseSeat(tourId, doc.startDate);
+  }
+  await doc.constructor.calcSoldOutDates(tourId);
+});
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
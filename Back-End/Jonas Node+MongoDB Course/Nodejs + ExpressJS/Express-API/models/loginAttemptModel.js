@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+//Failed logins counted per key, the key is either 'email:<email>' (account) or 'ip:<ip>'
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  //Number of times the key got locked, every next lock is twice as long
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+//Keys without any failure for a day are forgotten, so the backoff starts again from the base time
+loginAttemptSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+const baseLockMs = () => (process.env.LOGIN_LOCK_MINUTES || 5) * 60 * 1000;
+const maxLockMs = 24 * 60 * 60 * 1000;
+
+//STATIC METHODS
+
+//Returns the seconds left of the lock or 0 if the key is not locked
+loginAttemptSchema.statics.retryAfter = async function(key) {
+  const attempt = await this.findOne({ key });
+  if (!attempt || !attempt.lockUntil || attempt.lockUntil <= Date.now()) {
+    return 0;
+  }
+  return Math.ceil((attempt.lockUntil.getTime() - Date.now()) / 1000);
+};
+
+//Counts a failure and locks the key after maxAttempts failures
+//Returns the lockUntil date if this failure triggered the lock
+loginAttemptSchema.statics.registerFailure = async function(key, maxAttempts) {
+  const attempt = await this.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { updatedAt: Date.now() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failures < maxAttempts) return null;
+
+  //Exponential backoff: base, 2 x base, 4 x base ... till a day
+  const lockMs = Math.min(baseLockMs() * 2 ** attempt.lockCount, maxLockMs);
+  attempt.lockUntil = Date.now() + lockMs;
+  attempt.lockCount += 1;
+  attempt.failures = 0;
+  await attempt.save();
+
+  return attempt.lockUntil;
+};
+
+//Successful login clears the account
+loginAttemptSchema.statics.reset = function(key) {
+  return this.deleteOne({ key });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+//Each login starts a new family (one per device). Every refresh replaces the token with a new one of the same family
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Refresh token must belong to a user']
+  },
+  //Only the hash is stored just like the password reset token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userAgent: String,
+  ip: String,
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+});
+
+//Mongo removes the tokens by itself once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+//STATIC METHODS
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+//Creates a refresh token for the user and returns the plain token which is sent only once to the client
+//family & sessionStartedAt are passed while rotating so the session stays the same
+refreshTokenSchema.statics.issue = async function(user, req, session = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expiresIn =
+    (process.env.REFRESH_TOKEN_EXPIRES_IN || 30) * 24 * 60 * 60 * 1000;
+
+  const refreshToken = await this.create({
+    user: user._id,
+    tokenHash: this.hashToken(token),
+    family: session.family || crypto.randomBytes(16).toString('hex'),
+    sessionStartedAt: session.sessionStartedAt,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: Date.now() + expiresIn
+  });
+
+  return { token, refreshToken };
+};
+
+//Revokes every token of the family, used on logout, session revocation & reuse detection
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+//Families which still have a usable token are the active sessions
+refreshTokenSchema.statics.isSessionActive = async function(family) {
+  const count = await this.countDocuments({
+    family,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() }
+  });
+  return count > 0;
+};
+
+//GLOBAL METHODS
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
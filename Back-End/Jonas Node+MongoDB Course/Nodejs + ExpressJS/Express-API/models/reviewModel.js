@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Tour = require('./tourModel.js');
+
+//review, rating, createdAt, ref to tour, ref to user
+const reviewSchema = new mongoose.Schema(
+  {
+    review: {
+      type: String,
+      required: [true, 'Review can not be empty'],
+      trim: true
+    },
+    rating: {
+      type: Number,
+      min: [1, 'Rating must be above 1.0'],
+      max: [5, 'Rating must be below 5.0']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+      required: [true, 'Review must belong to a tour']
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Review must belong to a user']
+    }
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+//One user can write only one review per tour
+reviewSchema.index({ tour: 1, user: 1 }, { unique: true });
+
+//=================== QUERY MIDDLEWARE  =====================
+
+reviewSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'user',
+    select: 'name photo'
+  });
+  next();
+});
+
+//==================== STATIC METHODS ===============
+
+//Recalculates ratingAverage & ratingQuantity of the tour from all of its reviews
+reviewSchema.statics.calcAverageRatings = async function(tourId) {
+  const stats = await this.aggregate([
+    {
+      $match: { tour: tourId }
+    },
+    {
+      $group: {
+        _id: '$tour',
+        nRating: { $sum: 1 },
+        avgRating: { $avg: '$rating' }
+      }
+    }
+  ]);
+
+  //If all the reviews were deleted then fall back to the defaults of tour schema
+  //Hidden tours (secret or unpublished) are updated as well
+  if (stats.length > 0) {
+    await Tour.findByIdAndUpdate(
+      tourId,
+      {
+        ratingQuantity: stats[0].nRating,
+        ratingAverage: stats[0].avgRating
+      },
+      { includeHidden: true }
+    );
+  } else {
+    await Tour.findByIdAndUpdate(
+      tourId,
+      {
+        ratingQuantity: 0,
+        ratingAverage: 4.5
+      },
+      { includeHidden: true }
+    );
+  }
+};
+
+//================== DOCUMENT MIDDLEWARE  ========================
+
+//post-save hook runs after .save() and .create() so the new review is already in the collection
+reviewSchema.post('save', async function() {
+  //this.constructor points to the model as Review is not defined yet
+  await this.constructor.calcAverageRatings(this.tour);
+});
+
+//findByIdAndUpdate & findByIdAndDelete are query middlewares so we recalculate with the returned document
+reviewSchema.post(/^findOneAnd/, async function(doc) {
+  if (doc) await doc.constructor.calcAverageRatings(doc.tour);
+});
+
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+//Number of participants booked on one start date of a tour
+//Seats are taken with a conditional $inc so that two bookings at the same time can't both get the last place
+const tourDateSchema = new mongoose.Schema({
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tour',
+    required: [true, 'Tour date must belong to a tour']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Tour date must have a start date']
+  },
+  participants: {
+    type: Number,
+    default: 0
+  }
+});
+
+tourDateSchema.index({ tour: 1, startDate: 1 }, { unique: true });
+
+//==================== STATIC METHODS ===============
+
+//Takes a seat if less than maxGroupSize are taken, returns the updated counter or null when it is full
+//countBooked gives the bookings made before the counter existed (eg. imported ones), it is only used to create the counter
+tourDateSchema.statics.reserveSeat = async function(
+  tour,
+  startDate,
+  maxGroupSize,
+  countBooked
+) {
+  const filter = { tour, startDate };
+
+  if (!(await this.exists(filter))) {
+    try {
+      await this.create({ ...filter, participants: await countBooked() });
+    } catch (err) {
+      //Another booking created it in the meantime
+      if (err.code !== 11000) throw err;
+    }
+  }
+
+  return this.findOneAndUpdate(
+    { ...filter, participants: { $lt: maxGroupSize } },
+    { $inc: { participants: 1 } },
+    { new: true }
+  );
+};
+
+//Gives the seat back eg: the booking could not be saved or was deleted
+tourDateSchema.statics.releaseSeat = async function(tour, startDate) {
+  await this.updateOne(
+    { tour, startDate, participants: { $gt: 0 } },
+    { $inc: { participants: -1 } }
+  );
+};
+
+const TourDate = mongoose.model('TourDate', tourDateSchema);
+
+module.exports = TourDate;
@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 const validator = require('validator');
+const Wishlist = require('./wishlistModel.js');
+
+//unpublishAt has to come after publishAt when both are set
+const isBefore = (unpublishAt, publishAt) =>
+  !!unpublishAt && !!publishAt && new Date(unpublishAt) <= new Date(publishAt);
+const publishWindowMessage = 'unpublishAt ({VALUE}) should be after publishAt';
 
 //Created a tours schema
 const tourSchema = new mongoose.Schema({
@@ -14,10 +20,10 @@ const tourSchema = new mongoose.Schema({
     require: [true, 'Tour must have a slug'],
     unique: true
   },
-  slug: {
-    type: String,
-    require: [true, 'Tour must have a slug'],
-    unique: true
+  //Lower case words of the name, the autocomplete looks them up by prefix on an index (kept up to date by the middlewares)
+  nameWords: {
+    type: [String],
+    select: false
   },
   duration: {
     type: Number,
@@ -37,7 +43,10 @@ const tourSchema = new mongoose.Schema({
   },
   ratingAverage: {
     type: Number,
-    default: 4.5
+    default: 4.5,
+    min: [1, 'Rating must be above 1.0'],
+    max: [5, 'Rating must be below 5.0'],
+    set: val => Math.round(val * 10) / 10 //4.666666 => 4.7
   },
   ratingQuantity: {
     type: Number,
@@ -76,21 +85,119 @@ const tourSchema = new mongoose.Schema({
     default: Date.now()
   },
   startDates: [Date],
+  //Start dates which have no places left, kept up to date by the booking model
+  soldOutDates: [Date],
   secretTour: {
     type: Boolean,
     default: false
-  }
+  },
+  //Publish window of the tour, it is hidden before publishAt & from unpublishAt on (both are optional)
+  //The validator only runs on save(), updates are checked by the findOneAndUpdate middleware below
+  publishAt: Date,
+  unpublishAt: {
+    type: Date,
+    validate: {
+      validator: function(val) {
+        return !isBefore(val, this.publishAt);
+      },
+      message: publishWindowMessage
+    }
+  },
+  //GeoJSON point where the tour starts
+  startLocation: {
+    type: {
+      type: String,
+      default: 'Point',
+      enum: ['Point']
+    },
+    coordinates: [Number], //[longitude, latitude]
+    address: String,
+    description: String
+  },
+  //Referencing the users who lead the tour
+  guides: {
+    type: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User'
+      }
+    ],
+    validate: {
+      //Every referenced user should exist & have a guide or lead-guide role
+      validator: async function(val) {
+        if (val.length === 0) return true;
+
+        const ids = [...new Set(val.map(el => `${el._id || el}`))];
+        const count = await mongoose.model('User').countDocuments({
+          _id: { $in: ids },
+          role: { $in: ['guide', 'lead-guide'] }
+        });
+        return count === ids.length;
+      },
+      message: 'Guides must be existing users with the role guide or lead-guide'
+    }
+  },
+  //Embedded documents for each of the stops of the tour
+  locations: [
+    {
+      type: {
+        type: String,
+        default: 'Point',
+        enum: ['Point']
+      },
+      coordinates: [Number],
+      address: String,
+      description: String,
+      day: Number
+    }
+  ]
 },
 {
   toJSON: {virtuals: true},
   toObject: {virtuals: true}
 });
 
+//INDEXES
+//2dsphere index is required for $geoWithin with $centerSphere and for $geoNear
+tourSchema.index({ startLocation: '2dsphere' });
+tourSchema.index({ nameWords: 1 });
+//Text index used by the search, a word in the name counts more than one in the summary or description
+tourSchema.index(
+  { name: 'text', summary: 'text', description: 'text' },
+  { weights: { name: 10, summary: 4, description: 1 }, name: 'tour_text_search' }
+);
+
 //VIRTUAL PROPERTIES
 tourSchema.virtual('durationWeeks').get(function() {
   return this.duration / 7;
 })
 
+//Price after the discount, used for the bookings & payments
+tourSchema.virtual('finalPrice').get(function() {
+  return this.price - (this.priceDiscount || 0);
+});
+
+//Tour is sold out when there is no place left on any of its start dates
+tourSchema.virtual('soldOut').get(function() {
+  if (!this.startDates || this.startDates.length === 0 || !this.soldOutDates) {
+    return false;
+  }
+  const soldOut = this.soldOutDates.map(el => el.getTime());
+  return this.startDates.every(el => soldOut.includes(el.getTime()));
+});
+
+//Only known when the tours were found for a user (see the favouritesOf option of the query middleware)
+tourSchema.virtual('isFavourite').get(function() {
+  return this.$locals.isFavourite;
+});
+
+//Virtual populate: reviews are stored with a ref to the tour so the tour does not keep an ever growing array of ids
+tourSchema.virtual('reviews', {
+  ref: 'Review',
+  foreignField: 'tour',
+  localField: '_id'
+});
+
 //================== DOCUMENT MIDDLEWARE  ========================
 
 //Pre-Save-hook / pre middleware runs before .save() and .create()
@@ -99,6 +206,11 @@ tourSchema.pre('save', function(next) {
   next();
 });
 
+tourSchema.pre('save', function(next) {
+  if(this.isModified('name')) this.nameWords = this.constructor.nameWords(this.name);
+  next();
+});
+
 // tourSchema.pre('save', function(next) {
 //   console.log('Saving the document... ⏱');
 //   next();
@@ -111,19 +223,135 @@ tourSchema.pre('save', function(next) {
 
 //=================== QUERY MIDDLEWARE  =====================
 
+//Hidden tours are the secret ones & the ones outside of their publish window
+const visibleConditions = () => {
+  const now = new Date();
+  return [
+    {secretTour: {$ne: true}},
+    {$or: [{publishAt: null}, {publishAt: {$lte: now}}]},
+    {$or: [{unpublishAt: null}, {unpublishAt: {$gt: now}}]}
+  ];
+};
+
+//Admins & lead guides see the hidden tours with .setOptions({includeHidden: true}) (.option() for aggregate)
+//The option is taken off here so that it is not sent to mongodb
+const takeIncludeHidden = options => {
+  const includeHidden = options.includeHidden === true;
+  delete options.includeHidden;
+  return includeHidden;
+};
+
 // tourSchema.pre('find', function(next) { //Will only run for .find()
 tourSchema.pre(/^find/, function(next) { //Will run for .find() .findOne() .findById() etc (any query starting with find)
-  this.find({secretTour: {$ne: true}});
+  this._includeHidden = takeIncludeHidden(this.options);
+  if(!this._includeHidden) this.and(visibleConditions());
+  next();
+});
+
+//.setOptions({favouritesOf: userId}) sets isFavourite on the found tours, taken off as well before going to mongodb
+tourSchema.pre(/^find/, function(next) {
+  this._favouritesOf = this.options.favouritesOf;
+  delete this.options.favouritesOf;
+  next();
+});
+
+tourSchema.post(/^find/, async function(result) {
+  if(!this._favouritesOf || !result) return;
+
+  const tours = [].concat(result).filter(Boolean);
+  const favourites = await Wishlist.favouriteTourIds(this._favouritesOf, tours.map(el => el._id));
+  tours.forEach(doc => {
+    const isFavourite = favourites.has(`${doc._id}`);
+    //Lean queries return plain objects
+    if(doc.$locals) doc.$locals.isFavourite = isFavourite;
+    else doc.isFavourite = isFavourite;
+  });
+});
+
+//Public listings only show the start dates which are yet to come
+//startDates is not marked as modified so a later save() of the document keeps the past dates in database
+tourSchema.post(/^find/, function(result) {
+  if(this._includeHidden || !result) return;
+
+  const now = Date.now();
+  [].concat(result).forEach(doc => {
+    if(!doc || !doc.startDates) return;
+    doc.startDates = doc.startDates.filter(el => new Date(el).getTime() > now);
+    if(doc.unmarkModified) doc.unmarkModified('startDates');
+  });
+});
+
+tourSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const name = update.$set && update.$set.name !== undefined ? update.$set.name : update.name;
+  if(name !== undefined) this.set('nameWords', this.model.nameWords(name));
+  next();
+});
+
+//In update validators `this` is the query, so the publish window is checked here against the stored dates
+tourSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const set = {...update, ...update.$set};
+  const unset = update.$unset || {};
+  if(!('publishAt' in set || 'publishAt' in unset || 'unpublishAt' in set || 'unpublishAt' in unset)) return;
+
+  const stored = await this.model.findOne(this.getFilter(), 'publishAt unpublishAt', {includeHidden: true}).lean();
+  if(!stored) return;
+
+  const pick = field => {
+    if(field in unset) return undefined;
+    return field in set ? set[field] : stored[field];
+  };
+  const unpublishAt = pick('unpublishAt');
+  if(isBefore(unpublishAt, pick('publishAt'))) {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('unpublishAt', new mongoose.Error.ValidatorError({
+      path: 'unpublishAt',
+      message: publishWindowMessage,
+      value: unpublishAt
+    }));
+    throw error;
+  }
+});
+
+//Populating the guides on every find query so that we don't need to do it in each handler
+tourSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'guides',
+    select: 'name photo role'
+  });
+  next();
+});
+
+//Count used by pagination should also leave out the hidden tours
+tourSchema.pre('countDocuments', function(next) {
+  if(!takeIncludeHidden(this.options)) this.and(visibleConditions());
   next();
 });
 
 //==================== AGGREGATION MIDDLEWARE ===============
 
 tourSchema.pre('aggregate', function(next) {
-  this.pipeline().unshift({$match: {secretTour: {$ne: true}}});
+  if(takeIncludeHidden(this.options)) return next();
+
+  const pipeline = this.pipeline();
+  const match = {$match: {$and: visibleConditions()}};
+
+  //$geoNear has to be the first stage of the pipeline so the match goes right after it
+  if (pipeline.length > 0 && pipeline[0].$geoNear) {
+    pipeline.splice(1, 0, match);
+  } else {
+    pipeline.unshift(match);
+  }
   next();
 });
 
+//==================== STATIC METHODS ===============
+
+//'The Sea Explorer' => ['the', 'sea', 'explorer']
+tourSchema.statics.nameWords = text =>
+  `${text}`.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
 //Creating model out of the tours schema
 const Tour = mongoose.model('Tour', tourSchema);
 
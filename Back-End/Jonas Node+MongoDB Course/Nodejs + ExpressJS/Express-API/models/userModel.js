@@ -2,6 +2,12 @@ const mongoose = require('mongoose');
 const crypto = require('crypto');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const { authenticator } = require('otplib');
+
+//Accepting the codes of the previous and the next 30 seconds as well for clock drift of the phone
+authenticator.options = { window: 1 };
+
+const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
 
 //name, email, photo, password, passConfirm
 const userSchema = new mongoose.Schema({
@@ -46,11 +52,59 @@ const userSchema = new mongoose.Schema({
 	passwordChangedAt: Date,
 	passwordResetToken: String,
 	passwordResetExpires: Date,
+	emailVerified: {
+		type: Boolean,
+		default: false
+	},
+	emailVerificationToken: {
+		type: String,
+		select: false
+	},
+	emailVerificationExpires: {
+		type: Date,
+		select: false
+	},
+	//Two factor authentication (TOTP). Secret is moved from temp to real one once the first code is verified
+	twoFactorEnabled: {
+		type: Boolean,
+		default: false
+	},
+	twoFactorSecret: {
+		type: String,
+		select: false
+	},
+	twoFactorTempSecret: {
+		type: String,
+		select: false
+	},
+	twoFactorLastStep: {
+		type: Number,
+		select: false
+	},
+	twoFactorRecoveryCodes: {
+		type: [String],
+		select: false
+	},
 	active: {
 		type: Boolean,
 		default: true,
 		select: false
 	}
+},
+{
+	//select: false only works on queries so the hashed password & token are also removed while sending a created user
+	toJSON: {
+		transform: function(doc, ret) {
+			delete ret.password;
+			delete ret.emailVerificationToken;
+			delete ret.emailVerificationExpires;
+			delete ret.twoFactorSecret;
+			delete ret.twoFactorTempSecret;
+			delete ret.twoFactorLastStep;
+			delete ret.twoFactorRecoveryCodes;
+			return ret;
+		}
+	}
 });
 
 //MIDDLEWARES
@@ -67,10 +121,11 @@ userSchema.pre('save', async function (next) {
 });
 
 userSchema.pre('save', function(next) {
-	//if the document was not mofied or it's new then just return we don't need to do the further functions
-	if(!this.isModified() || this.isNew) return next();
+	//if the password was not mofied or it's new then just return we don't need to do the further functions
+	if(!this.isModified('password') || this.isNew) return next();
 
 	this.passwordChangedAt = Date.now() - 1000;
+	next();
 });
 
 //Query middleware for eliminating deleted user (active: false);
@@ -79,6 +134,12 @@ userSchema.pre(/^find/, function(next) {
 	next();
 });
 
+//Count used by pagination should also leave out the deleted users
+userSchema.pre('countDocuments', function(next) {
+	this.where({active: {$ne: false}});
+	next();
+});
+
 //GLOBAL METHODS
 userSchema.methods.correctPassword = async function (enteredPassword, databasePassword) {
 	return await bcrypt.compare(enteredPassword, databasePassword);
@@ -105,6 +166,68 @@ userSchema.methods.createPasswordResetToken = function() {
 	return resetToken;
 }
 
+//Same approach as the password reset token, only the hash is stored and the token is valid for 24 hours
+userSchema.methods.createEmailVerificationToken = function() {
+	const verificationToken = crypto.randomBytes(32).toString('hex');
+
+	this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+	this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000;
+
+	return verificationToken;
+}
+
+//TWO FACTOR AUTHENTICATION METHODS
+
+//Roles listed in TWO_FACTOR_REQUIRED_ROLES (eg: admin,lead-guide) can not use the api without 2FA
+userSchema.methods.requiresTwoFactor = function() {
+	const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(el => el.trim());
+	return roles.includes(this.role);
+}
+
+//Secret is kept as temp till the user verifies the first code from the authenticator app
+userSchema.methods.createTwoFactorSecret = function() {
+	const secret = authenticator.generateSecret();
+	this.twoFactorTempSecret = secret;
+
+	return {
+		secret,
+		otpauthURL: authenticator.keyuri(this.email, 'Natours', secret)
+	};
+}
+
+//Checks the code from the authenticator app, a code can be used only once
+userSchema.methods.verifyTwoFactorCode = function(code, secret = this.twoFactorSecret) {
+	if(!code || !secret) return false;
+
+	const delta = authenticator.checkDelta(`${code}`.trim(), secret);
+	if(delta === null) return false;
+
+	const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+	if(this.twoFactorLastStep && step <= this.twoFactorLastStep) return false;
+
+	this.twoFactorLastStep = step;
+	return true;
+}
+
+//Recovery codes are shown only once to the user, only the hashes are stored
+userSchema.methods.createRecoveryCodes = function() {
+	const codes = Array.from({length: 10}, () => crypto.randomBytes(5).toString('hex'));
+	this.twoFactorRecoveryCodes = codes.map(hashCode);
+
+	return codes;
+}
+
+//Every recovery code can be used only once
+userSchema.methods.useRecoveryCode = function(code) {
+	if(!code || !this.twoFactorRecoveryCodes) return false;
+
+	const index = this.twoFactorRecoveryCodes.indexOf(hashCode(`${code}`.trim().toLowerCase()));
+	if(index === -1) return false;
+
+	this.twoFactorRecoveryCodes.splice(index, 1);
+	return true;
+}
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
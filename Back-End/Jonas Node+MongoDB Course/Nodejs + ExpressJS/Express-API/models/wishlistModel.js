@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+//Every document is one tour in the wishlist of a user
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Wishlist item must belong to a user']
+  },
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tour',
+    required: [true, 'Wishlist item must have a tour']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+//A tour is only once in the wishlist of a user, the index also finds the favourites among a list of tours
+wishlistSchema.index({ user: 1, tour: 1 }, { unique: true });
+
+//==================== STATIC METHODS ===============
+
+//Ids (as strings) of the given tours which are in the wishlist of the user
+wishlistSchema.statics.favouriteTourIds = async function(userId, tourIds) {
+  const items = await this.find({ user: userId, tour: { $in: tourIds } })
+    .select('tour')
+    .lean();
+  return new Set(items.map(el => `${el.tour}`));
+};
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+module.exports = Wishlist;
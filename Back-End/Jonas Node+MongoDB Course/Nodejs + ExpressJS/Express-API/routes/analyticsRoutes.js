@@ -0,0 +1,27 @@
+const express = require('express');
+const analyticsController = require('../controllers/analyticsController.js');
+const authController = require('../controllers/authController.js');
+const validate = require('../utils/validate.js');
+const analyticsSchemas = require('../schemas/analyticsSchemas.js');
+
+const route = express.Router();
+
+//Analytics are only for the admins & lead guides
+route.use(
+  authController.protect,
+  authController.restrictTo('admin', 'lead-guide')
+);
+
+route.get(
+  '/revenue/:year',
+  validate(analyticsSchemas.monthlyRevenue),
+  analyticsController.getMonthlyRevenue
+);
+
+route.get(
+  '/top-rated-tours',
+  validate(analyticsSchemas.topRatedTours),
+  analyticsController.getTopRatedTours
+);
+
+module.exports = route;
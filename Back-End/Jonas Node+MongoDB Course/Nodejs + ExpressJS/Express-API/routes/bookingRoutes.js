@@ -0,0 +1,39 @@
+const express = require('express');
+const bookingController = require('../controllers/bookingController.js');
+const authController = require('../controllers/authController.js');
+const validate = require('../utils/validate.js');
+const bookingSchemas = require('../schemas/bookingSchemas.js');
+
+const route = express.Router();
+
+route.get(
+  '/checkout-session/:tourId',
+  authController.protect,
+  validate(bookingSchemas.checkoutSession),
+  bookingController.getCheckoutSession
+);
+
+//Managing all the bookings is only for the admins
+route.use(authController.protect, authController.restrictTo('admin'));
+
+route
+  .route('/')
+  .get(bookingController.getAllBookings)
+  .post(
+    validate(bookingSchemas.createBooking),
+    bookingController.addNewBooking
+  );
+
+route
+  .route('/:id')
+  .get(validate(bookingSchemas.bookingById), bookingController.getSingleBooking)
+  .patch(
+    validate(bookingSchemas.updateBooking),
+    bookingController.updateSingleBooking
+  )
+  .delete(
+    validate(bookingSchemas.bookingById),
+    bookingController.deleteSingleBooking
+  );
+
+module.exports = route;
@@ -0,0 +1,39 @@
+const express = require('express');
+const reviewController = require('../controllers/reviewController.js');
+const authController = require('../controllers/authController.js');
+const validate = require('../utils/validate.js');
+const reviewSchemas = require('../schemas/reviewSchemas.js');
+
+//mergeParams gives access to :tourId when mounted on /tours/:tourId/reviews
+const route = express.Router({ mergeParams: true });
+
+//All the review routes need a logged in user
+route.use(authController.protect);
+
+route
+  .route('/')
+  .get(reviewController.getAllReviews)
+  .post(
+    authController.restrictTo('user'),
+    validate(reviewSchemas.createReview),
+    reviewController.setTourUserIds,
+    reviewController.addNewReview
+  );
+
+route
+  .route('/:id')
+  .get(validate(reviewSchemas.reviewById), reviewController.getSingleReview)
+  .patch(
+    authController.restrictTo('user', 'admin'),
+    validate(reviewSchemas.updateReview),
+    reviewController.checkReviewOwner,
+    reviewController.updateSingleReview
+  )
+  .delete(
+    authController.restrictTo('user', 'admin'),
+    validate(reviewSchemas.reviewById),
+    reviewController.checkReviewOwner,
+    reviewController.deleteSingleReview
+  );
+
+module.exports = route;
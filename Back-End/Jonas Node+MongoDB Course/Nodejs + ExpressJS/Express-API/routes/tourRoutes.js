@@ -1,31 +1,70 @@
 const express = require('express');
 const tourController = require('../controllers/tourController.js');
 const authController = require('../controllers/authController.js');
+const bookingController = require('../controllers/bookingController.js');
+const reviewRouter = require('./reviewRoutes.js');
+const validate = require('../utils/validate.js');
+const tourSchemas = require('../schemas/tourSchemas.js');
+const bookingSchemas = require('../schemas/bookingSchemas.js');
 
 const route = express.Router();
 
 route.use(express.json());
 
+//Nested route: POST/GET /tours/:tourId/reviews is handled by the review router
+route.use('/:tourId/reviews', reviewRouter);
+
+//Users book a tour & see their own bookings of it
+route
+  .route('/:tourId/bookings')
+  .get(authController.protect, bookingController.getMyTourBookings)
+  .post(authController.protect, validate(bookingSchemas.bookTour), bookingController.bookTour);
+
 // route.param('id', tourController.checkId);//Deprecated while integrating database
 
 //Using for all commands
 // route.use(tourController.checkBody);
 
+//Admins & lead guides add ?includeHidden=true to also get the secret & unpublished tours
 route
   .route('/') //Common route
-  .get(authController.protect, tourController.getAllTours) //get operation on this route
-  .post(authController.protect,tourController.addNewTour);
+  .get(authController.protect, tourController.includeHidden, tourController.markFavourites, tourController.getAllTours) //get operation on this route
+  .post(authController.protect, authController.restrictTo('admin', 'lead-guide'), validate(tourSchemas.createTour), tourController.addNewTour);
 //Checks body while using JSON file for data
 // .post(tourController.checkBody, tourController.addNewTour); //post operation on this route with chained middleware
 
-route.route('/tours-stats').get(authController.protect,tourController.getToursStats);
+//Stats are only for the admins & lead guides (more of them are in /analytics)
+route.route('/tours-stats').get(authController.protect, authController.restrictTo('admin', 'lead-guide'), validate(tourSchemas.toursStats), tourController.getToursStats);
+
+route.route('/monthly-plan/:year').get(authController.protect, authController.restrictTo('admin', 'lead-guide'), validate(tourSchemas.monthlyPlan), tourController.getMonthlyPlan);
+
+//Full text search & type-ahead suggestions, both take the same sort, fields & pages as the tours list
+route.route('/search').get(authController.protect, tourController.includeHidden, tourController.markFavourites, validate(tourSchemas.searchTours), tourController.searchTours);
+
+route.route('/autocomplete').get(authController.protect, tourController.includeHidden, validate(tourSchemas.autocompleteTours), tourController.autocompleteTours);
 
-route.route('/monthly-plan/:year').get(authController.protect,tourController.getMonthlyPlan);
+//Geospatial queries used by the map on front end
+route
+  .route('/tours-within/:distance/center/:latlng/unit/:unit')
+  .get(tourController.getToursWithin);
+route
+  .route('/distances/:latlng/unit/:unit')
+  .get(tourController.getDistances);
+
+//Admins & lead guides hide, schedule or unpublish a tour
+route.route('/:id/visibility').patch(authController.protect, authController.restrictTo('admin', 'lead-guide'), validate(tourSchemas.tourVisibility), tourController.updateTourVisibility);
+
+//Lead guides assign or remove the guides of a tour
+route
+  .route('/:id/guides')
+  .get(authController.protect, tourController.includeHidden, tourController.getTourGuides)
+  .post(authController.protect, authController.restrictTo('admin', 'lead-guide'), tourController.includeHidden, validate(tourSchemas.tourGuides), tourController.addTourGuides)
+  .delete(authController.protect, authController.restrictTo('admin', 'lead-guide'), tourController.includeHidden, validate(tourSchemas.tourGuides), tourController.removeTourGuides);
 
 route
   .route('/:id') //Common route
-  .get(authController.protect,tourController.getSingleTour) //get operation on this route
-  .patch(authController.protect,tourController.updateSingleTour) //patch operation on this route
-  .delete(authController.protect, authController.restrictTo('admin','lead-guide') ,tourController.deleteSingleTour); //delte operation on this route
+  .get(authController.protect, tourController.includeHidden, tourController.markFavourites, validate(tourSchemas.tourById), tourController.getSingleTour) //get operation on this route
+  .patch(authController.protect, authController.restrictTo('admin', 'lead-guide'), tourController.includeHidden, tourController.uploadTourImages, validate(tourSchemas.updateTour), tourController.resizeTourImages, tourController.updateSingleTour) //patch operation on this route (with cover & gallery images)
+  .delete(authController.protect, authController.restrictTo('admin','lead-guide'), tourController.includeHidden, validate(tourSchemas.tourById), tourController.deleteSingleTour); //delte operation on this route
 
 module.exports = route;
@@ -2,28 +2,54 @@ const express = require('express');
 
 const route = express.Router();
 const userController = require('../controllers/userController');
+const wishlistController = require('../controllers/wishlistController.js');
 const authController = require('../controllers/authController');
+const validate = require('../utils/validate.js');
+const userSchemas = require('../schemas/userSchemas.js');
 
-route.post('/signup', authController.signup);
-route.post('/login', authController.login);
+route.post('/signup', validate(userSchemas.signup), authController.signup);
+route.post('/login', validate(userSchemas.login), authController.login);
+route.post('/login/2fa', validate(userSchemas.loginTwoFactor), authController.loginTwoFactor);
+route.get('/logout', authController.logout);
+route.post('/refresh', validate(userSchemas.refresh), authController.refresh);
 
-route.post('/forgotPassword', authController.forgotPassword);
-route.patch('/resetPassword/:token', authController.resetPassword);
+route.get('/sessions', authController.protect, authController.getSessions);
+route.delete('/sessions/:id', authController.allowUnverified, authController.protect, authController.revokeSession);
 
-route.patch('/updatePassword', authController.protect,authController.updatePassword);
-route.patch('/updateMe', authController.protect, userController.uploadUserPhoto, userController.resizeUserPhote,userController.updateMe);
+route.post('/2fa/setup', authController.allowWithoutTwoFactor, authController.protect, authController.setupTwoFactor);
+route.post('/2fa/enable', authController.allowWithoutTwoFactor, authController.protect, validate(userSchemas.enableTwoFactor), authController.enableTwoFactor);
+route.post('/2fa/disable', authController.protect, validate(userSchemas.disableTwoFactor), authController.disableTwoFactor);
+
+route.get('/verifyEmail/:token', authController.verifyEmail);
+route.post('/resendVerification', authController.allowUnverified, authController.protect, authController.resendVerificationEmail);
+
+route.post('/forgotPassword', validate(userSchemas.forgotPassword), authController.forgotPassword);
+route.patch('/resetPassword/:token', validate(userSchemas.resetPassword), authController.resetPassword);
+
+route.patch('/updatePassword', authController.allowUnverified, authController.protect, validate(userSchemas.updatePassword), authController.updatePassword);
+route.patch('/updateMe', authController.protect, userController.uploadUserPhoto, validate(userSchemas.updateMe), userController.resizeUserPhoto, userController.updateMe);
 route.delete('/deleteMe', authController.protect,userController.deleteMe);
 route.get('/me', authController.protect, userController.getMe, userController.getSingleUser);
 
+//Tours the user has saved for later
+route
+  .route('/me/wishlist')
+  .get(authController.protect, wishlistController.getMyWishlist)
+  .post(authController.protect, validate(userSchemas.wishlistTour), wishlistController.addToWishlist)
+  .delete(authController.protect, validate(userSchemas.wishlistTour), wishlistController.removeFromWishlist);
+
+//Below routes are only for the admins to manage the users
+route.use(authController.protect, authController.restrictTo('admin'));
+
 route
   .route('/')
   .get(userController.getAllUsers)
-  .post(userController.addNewUser);
+  .post(validate(userSchemas.createUser), userController.addNewUser);
 
 route
   .route('/:id')
-  .get(userController.getSingleUser)
-  .patch(userController.updateSingleUser)
-  .delete(userController.deleteSingleUser);
+  .get(validate(userSchemas.userById), userController.getSingleUser)
+  .patch(validate(userSchemas.updateUser), userController.updateSingleUser)
+  .delete(validate(userSchemas.userById), userController.deleteSingleUser);
 
 module.exports = route;
\ No newline at end of file
@@ -0,0 +1,12 @@
+const express = require('express');
+const viewsController = require('../controllers/viewsController.js');
+const authController = require('../controllers/authController.js');
+
+const route = express.Router();
+
+route.get('/', authController.isLoggedIn, viewsController.getOverview);
+route.get('/tour/:slug', authController.isLoggedIn, viewsController.getTour);
+route.get('/login', authController.isLoggedIn, viewsController.getLoginForm);
+route.get('/me', authController.protect, viewsController.getAccount);
+
+module.exports = route;
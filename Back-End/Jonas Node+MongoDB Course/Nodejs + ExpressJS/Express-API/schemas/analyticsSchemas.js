@@ -0,0 +1,31 @@
+const { date, format } = require('./common.js');
+
+exports.monthlyRevenue = {
+  params: {
+    type: 'object',
+    properties: {
+      year: { type: 'integer', minimum: 1970, maximum: 9999 }
+    },
+    required: ['year']
+  },
+  query: {
+    type: 'object',
+    properties: { format },
+    additionalProperties: false
+  }
+};
+
+exports.topRatedTours = {
+  query: {
+    type: 'object',
+    properties: {
+      period: { type: 'string', enum: ['month', 'year'] },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      minRatings: { type: 'integer', minimum: 1 },
+      from: date,
+      to: date,
+      format
+    },
+    additionalProperties: false
+  }
+};
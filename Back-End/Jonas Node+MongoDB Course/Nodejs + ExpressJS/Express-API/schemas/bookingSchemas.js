@@ -0,0 +1,60 @@
+const { objectId, idParams, tourIdParams, date } = require('./common.js');
+
+//Users only choose the start date, price & user are taken from the tour & the logged in user
+exports.bookTour = {
+  params: tourIdParams,
+  body: {
+    type: 'object',
+    properties: {
+      startDate: date
+    },
+    required: ['startDate'],
+    additionalProperties: false
+  }
+};
+
+exports.checkoutSession = {
+  params: tourIdParams,
+  query: {
+    type: 'object',
+    properties: {
+      startDate: date
+    },
+    required: ['startDate'],
+    additionalProperties: false
+  }
+};
+
+const bookingBody = {
+  type: 'object',
+  properties: {
+    tour: objectId,
+    user: objectId,
+    price: { type: 'number', minimum: 0 },
+    startDate: date,
+    paid: { type: 'boolean' }
+  },
+  required: ['tour', 'user', 'price', 'startDate'],
+  additionalProperties: false
+};
+
+exports.createBooking = {
+  body: bookingBody
+};
+
+//startDate & tour can't be changed (see updateSingleBooking)
+exports.updateBooking = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      price: bookingBody.properties.price,
+      paid: bookingBody.properties.paid
+    },
+    additionalProperties: false
+  }
+};
+
+exports.bookingById = {
+  params: idParams
+};
@@ -0,0 +1,68 @@
+//Building blocks shared by the JSON schemas of the routes
+
+exports.objectId = {
+  type: 'string',
+  format: 'objectId'
+};
+
+exports.idParams = {
+  type: 'object',
+  properties: {
+    id: exports.objectId
+  },
+  required: ['id']
+};
+
+exports.tourIdParams = {
+  type: 'object',
+  properties: {
+    tourId: exports.objectId
+  },
+  required: ['tourId']
+};
+
+exports.date = {
+  type: 'string',
+  format: 'date'
+};
+
+//Plain file name with an extension eg: tour-1-cover.jpg, no folders (/ or ..) so it always stays in the images folder
+exports.imageFile = {
+  type: 'string',
+  pattern: '^[\\w-]+(\\.[\\w-]+)+$'
+};
+
+//?format=csv sends the rows of the stats as a csv download
+exports.format = {
+  type: 'string',
+  enum: ['json', 'csv']
+};
+
+//GeoJSON point [longitude, latitude]
+exports.point = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['Point'] },
+    coordinates: {
+      type: 'array',
+      items: [
+        { type: 'number', minimum: -180, maximum: 180 },
+        { type: 'number', minimum: -90, maximum: 90 }
+      ],
+      minItems: 2,
+      maxItems: 2
+    },
+    address: { type: 'string' },
+    description: { type: 'string' },
+    day: { type: 'integer', minimum: 1 }
+  },
+  required: ['coordinates'],
+  additionalProperties: false
+};
+
+//Same schema with none of the fields required, used by the PATCH routes
+exports.partial = schema => {
+  const copy = { ...schema };
+  delete copy.required;
+  return copy;
+};
@@ -0,0 +1,34 @@
+const { objectId, idParams } = require('./common.js');
+
+//user is always the logged in user (set by setTourUserIds) so it can't be sent
+const reviewBody = {
+  type: 'object',
+  properties: {
+    review: { type: 'string', minLength: 1 },
+    rating: { type: 'number', minimum: 1, maximum: 5 },
+    tour: objectId
+  },
+  required: ['review', 'rating'],
+  additionalProperties: false
+};
+
+exports.createReview = {
+  body: reviewBody
+};
+
+//Tour of a review can't be changed
+exports.updateReview = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      review: reviewBody.properties.review,
+      rating: reviewBody.properties.rating
+    },
+    additionalProperties: false
+  }
+};
+
+exports.reviewById = {
+  params: idParams
+};
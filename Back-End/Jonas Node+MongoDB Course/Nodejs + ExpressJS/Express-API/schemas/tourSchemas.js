@@ -0,0 +1,140 @@
+const {
+  objectId,
+  idParams,
+  date,
+  point,
+  imageFile,
+  format,
+  partial
+} = require('./common.js');
+
+//ratingAverage, ratingQuantity, soldOutDates, slug & createdAt are managed by the server so they are not listed
+//secretTour & the publish window are only changed by admins & lead guides (see tourVisibility)
+const tourBody = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 40 },
+    duration: { type: 'number', exclusiveMinimum: 0 },
+    maxGroupSize: { type: 'integer', minimum: 1 },
+    difficulty: { type: 'string', enum: ['easy', 'medium', 'difficult'] },
+    price: { type: 'number', minimum: 0 },
+    priceDiscount: { type: 'number', minimum: 0 },
+    summary: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    imageCover: imageFile,
+    images: { type: 'array', items: imageFile },
+    startDates: { type: 'array', items: date },
+    startLocation: point,
+    locations: { type: 'array', items: point },
+    guides: { type: 'array', items: objectId, uniqueItems: true }
+  },
+  required: [
+    'name',
+    'duration',
+    'maxGroupSize',
+    'difficulty',
+    'price',
+    'summary',
+    'imageCover'
+  ],
+  additionalProperties: false
+};
+
+exports.createTour = {
+  body: tourBody
+};
+
+exports.updateTour = {
+  params: idParams,
+  body: partial(tourBody)
+};
+
+exports.tourById = {
+  params: idParams
+};
+
+//null clears a date of the publish window
+exports.tourVisibility = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      secretTour: { type: 'boolean' },
+      publishAt: { ...date, nullable: true },
+      unpublishAt: { ...date, nullable: true }
+    },
+    minProperties: 1,
+    additionalProperties: false
+  }
+};
+
+exports.tourGuides = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      guides: { type: 'array', items: objectId, minItems: 1 }
+    },
+    required: ['guides'],
+    additionalProperties: false
+  }
+};
+
+exports.monthlyPlan = {
+  params: {
+    type: 'object',
+    properties: {
+      year: { type: 'integer', minimum: 1970, maximum: 9999 }
+    },
+    required: ['year']
+  },
+  query: {
+    type: 'object',
+    properties: { format },
+    additionalProperties: false
+  }
+};
+
+//Rest of the query are the filters of the tours list, they are checked by APIfeatures
+exports.toursStats = {
+  query: {
+    type: 'object',
+    properties: {
+      groupBy: {
+        type: 'string',
+        enum: [
+          'difficulty',
+          'duration',
+          'maxGroupSize',
+          'ratingAverage',
+          'price'
+        ]
+      },
+      ranking: { type: 'string', enum: ['mostWishlisted'] },
+      limit: { type: 'integer', minimum: 1, maximum: 100 },
+      format
+    }
+  }
+};
+
+//Like the stats, the rest of the query are the filters, sort, fields & pages of the tours list
+exports.searchTours = {
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', minLength: 1, maxLength: 200 }
+    },
+    required: ['q']
+  }
+};
+
+exports.autocompleteTours = {
+  query: {
+    type: 'object',
+    properties: {
+      //At least one letter or digit
+      prefix: { type: 'string', maxLength: 100, pattern: '[\\p{L}\\p{N}]' }
+    },
+    required: ['prefix']
+  }
+};
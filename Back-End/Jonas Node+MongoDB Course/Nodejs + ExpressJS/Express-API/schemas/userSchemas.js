@@ -0,0 +1,124 @@
+const { objectId, idParams, partial } = require('./common.js');
+
+const name = { type: 'string', minLength: 1 };
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 8 };
+const code = { type: 'string', pattern: '^\\d{6}$' };
+
+const strictObject = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+//role is not listed so that users can't sign up as an admin
+exports.signup = {
+  body: strictObject(
+    { name, email, password, passConfirm: { type: 'string' } },
+    ['name', 'email', 'password', 'passConfirm']
+  )
+};
+
+exports.login = {
+  body: strictObject({ email, password: { type: 'string' } }, [
+    'email',
+    'password'
+  ])
+};
+
+//Either the code of the app or one of the recovery codes is checked by loginTwoFactor
+exports.loginTwoFactor = {
+  body: strictObject(
+    {
+      twoFactorToken: { type: 'string' },
+      code,
+      recoveryCode: { type: 'string', minLength: 1 }
+    },
+    ['twoFactorToken']
+  )
+};
+
+exports.refresh = {
+  body: strictObject({ refreshToken: { type: 'string' } })
+};
+
+exports.enableTwoFactor = {
+  body: strictObject({ code }, ['code'])
+};
+
+exports.disableTwoFactor = {
+  body: strictObject({ password: { type: 'string' }, code }, [
+    'password',
+    'code'
+  ])
+};
+
+exports.forgotPassword = {
+  body: strictObject({ email }, ['email'])
+};
+
+exports.resetPassword = {
+  params: {
+    type: 'object',
+    properties: { token: { type: 'string', pattern: '^[0-9a-f]{64}$' } },
+    required: ['token']
+  },
+  body: strictObject({ password, passConfirm: { type: 'string' } }, [
+    'password',
+    'passConfirm'
+  ])
+};
+
+exports.updatePassword = {
+  body: strictObject(
+    {
+      passwordCurrent: { type: 'string' },
+      password,
+      passConfirm: { type: 'string' }
+    },
+    ['passwordCurrent', 'password', 'passConfirm']
+  )
+};
+
+//Password fields are kept so that updateMe can tell the user to use /updatePassword instead
+exports.updateMe = {
+  body: strictObject({
+    name,
+    email,
+    password: { type: 'string' },
+    passConfirm: { type: 'string' }
+  })
+};
+
+const role = { type: 'string', enum: ['user', 'guide', 'lead-guide', 'admin'] };
+const photo = { type: 'string' };
+
+exports.createUser = {
+  body: strictObject(
+    {
+      name,
+      email,
+      photo,
+      role,
+      password,
+      passConfirm: { type: 'string' }
+    },
+    ['name', 'email', 'password', 'passConfirm']
+  )
+};
+
+//Passwords can't be changed here (see updateSingleUser)
+exports.updateUser = {
+  params: idParams,
+  body: partial(strictObject({ name, email, photo, role }))
+};
+
+exports.userById = {
+  params: idParams
+};
+
+//Adds or removes one tour of the wishlist
+exports.wishlistTour = {
+  body: strictObject({ tour: objectId }, ['tour'])
+};
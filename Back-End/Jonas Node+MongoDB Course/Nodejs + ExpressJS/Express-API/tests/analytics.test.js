@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../index.js');
+const { toCsv } = require('../utils/csv.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+describe('analytics', () => {
+  let db;
+  let token;
+
+  beforeEach(() => {
+    db = mockDb();
+    ({ token } = loginAs(db, { role: 'lead-guide' }));
+  });
+
+  const get = url =>
+    request(app)
+      .get(url)
+      .set('Authorization', `Bearer ${token}`);
+
+  //Stage of the pipeline sent to the collection eg: stage(db.Tour.aggregate, '$group')
+  const stage = (aggregate, name) =>
+    aggregate.mock.calls[0][0].find(el => el[name])[name];
+
+  describe('toCsv', () => {
+    it('writes a header of all the columns & quotes the values when needed', () => {
+      const csv = toCsv([
+        { name: 'The Sea Explorer', price: 497 },
+        {
+          name: 'Park, "Camper"',
+          startDates: [
+            new Date('2027-06-19T09:00:00.000Z'),
+            new Date('2027-07-20T09:00:00.000Z')
+          ],
+          price: null
+        }
+      ]);
+
+      expect(csv).toBe(
+        [
+          'name,price,startDates',
+          'The Sea Explorer,497,',
+          '"Park, ""Camper""",,2027-06-19T09:00:00.000Z; 2027-07-20T09:00:00.000Z'
+        ].join('\n')
+      );
+    });
+
+    it('escapes the text which spreadsheets run as a formula', () => {
+      const csv = toCsv([
+        { name: '=HYPERLINK("http://evil.example")', price: -5 },
+        { name: '@SUM(A1)', price: '+1' }
+      ]);
+
+      expect(csv.split('\n').slice(1)).toEqual([
+        `"'=HYPERLINK(""http://evil.example"")",-5`,
+        "'@SUM(A1),'+1"
+      ]);
+    });
+  });
+
+  describe('GET /api/v1/analytics/revenue/:year', () => {
+    beforeEach(() => {
+      db.Booking.aggregate.mockReturnValue([
+        { _id: 6, bookings: 3, revenue: 894, unpaid: 447, refunds: 447 }
+      ]);
+      db.Tour.aggregate.mockReturnValue([
+        { _id: 6, tourStarts: 2, places: 20 }
+      ]);
+    });
+
+    it('sends the revenue & occupancy of every month of the year', async () => {
+      const res = await get('/api/v1/analytics/revenue/2027');
+
+      expect(res.status).toBe(200);
+      const { revenue } = res.body.data;
+      expect(revenue).toHaveLength(12);
+      expect(revenue[5]).toEqual({
+        month: 6,
+        tourStarts: 2,
+        places: 20,
+        bookings: 3,
+        occupancy: 0.15,
+        revenue: 894,
+        unpaid: 447,
+        refunds: 447
+      });
+      expect(revenue[0]).toMatchObject({ month: 1, places: 0, occupancy: 0 });
+      expect(stage(db.Booking.aggregate, '$match')).toEqual({
+        startDate: {
+          $gte: new Date('2027-01-01'),
+          $lt: new Date('2028-01-01')
+        }
+      });
+    });
+
+    it('sends a csv download with ?format=csv', async () => {
+      const res = await get('/api/v1/analytics/revenue/2027?format=csv');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/^text\/csv/);
+      expect(res.headers['content-disposition']).toBe(
+        'attachment; filename="revenue.csv"'
+      );
+      const lines = res.text.split('\n');
+      expect(lines).toHaveLength(13);
+      expect(lines[0]).toBe(
+        'month,tourStarts,places,bookings,occupancy,revenue,unpaid,refunds'
+      );
+      expect(lines[6]).toBe('6,2,20,3,0.15,894,447,447');
+    });
+
+    it('counts the bookings waiting for a refund only in refunds', async () => {
+      await get('/api/v1/analytics/revenue/2027').expect(200);
+
+      const { bookings, revenue, refunds } = stage(
+        db.Booking.aggregate,
+        '$group'
+      );
+      expect(bookings).toEqual({ $sum: { $cond: ['$needsRefund', 0, 1] } });
+      expect(revenue.$sum.$cond[0]).toEqual({
+        $and: ['$paid', { $not: ['$needsRefund'] }]
+      });
+      expect(refunds).toEqual({
+        $sum: { $cond: ['$needsRefund', '$price', 0] }
+      });
+    });
+  });
+
+  describe('GET /api/v1/tours/tours-stats', () => {
+    it('groups the tours by the given field & matches the given filters', async () => {
+      await get(
+        '/api/v1/tours/tours-stats?groupBy=duration&price[gte]=500'
+      ).expect(200);
+
+      expect(stage(db.Tour.aggregate, '$group')._id).toBe('$duration');
+      expect(db.Tour.aggregate.mock.calls[0][0]).toContainEqual({
+        $match: { price: { $gte: 500 } }
+      });
+    });
+
+    it('keeps the well rated tours without a filter', async () => {
+      await get('/api/v1/tours/tours-stats').expect(200);
+
+      expect(stage(db.Tour.aggregate, '$group')._id).toBe('$difficulty');
+      expect(db.Tour.aggregate.mock.calls[0][0]).toContainEqual({
+        $match: { ratingAverage: { $gte: 4.5 } }
+      });
+    });
+
+    it('refuses the fields which are not allowed for grouping', async () => {
+      const res = await get('/api/v1/tours/tours-stats?groupBy=secretTour');
+
+      expect(res.status).toBe(400);
+      expect(db.Tour.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  it('keeps the top rated tours of each period', async () => {
+    await get(
+      '/api/v1/analytics/top-rated-tours?period=year&limit=2&minRatings=3'
+    ).expect(200);
+
+    const pipeline = db.Review.aggregate.mock.calls[0][0];
+    expect(pipeline[1].$group._id.period.$dateToString.format).toBe('%Y');
+    expect(pipeline).toContainEqual({
+      $match: { numRatings: { $gte: 3 } }
+    });
+    expect(pipeline).toContainEqual({
+      $project: { tours: { $slice: ['$tours', 2] } }
+    });
+  });
+
+  it('is only for the admins & lead guides', async () => {
+    ({ token } = loginAs(db));
+
+    await get('/api/v1/analytics/revenue/2027').expect(403);
+    await get('/api/v1/tours/tours-stats').expect(403);
+  });
+});
@@ -0,0 +1,148 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+describe('bookings', () => {
+  let db;
+  let tour;
+  const startDate = new Date('2027-06-19T09:00:00.000Z');
+
+  beforeEach(() => {
+    db = mockDb();
+    tour = tourDoc({
+      price: 497,
+      priceDiscount: 50,
+      maxGroupSize: 2,
+      startDates: [startDate, new Date('2027-07-20T09:00:00.000Z')]
+    });
+    db.Tour.findOne.mockImplementation(() => tour);
+    //Counter of the start date with a place left
+    db.TourDate.findOneAndUpdate.mockReturnValue({
+      value: { tour: tour._id, startDate, participants: 1 }
+    });
+  });
+
+  const bookTour = (token, date = startDate) =>
+    request(app)
+      .post(`/api/v1/tours/${tour._id}/bookings`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ startDate: date.toISOString() });
+
+  describe('POST /api/v1/tours/:tourId/bookings', () => {
+    it('books a seat for the user at the final price of the tour', async () => {
+      const { user, token } = loginAs(db);
+
+      const res = await bookTour(token);
+
+      expect(res.status).toBe(201);
+      const [booking] = db.Booking.insertOne.mock.calls[0];
+      expect(booking).toMatchObject({ price: 447, startDate, paid: false });
+      expect(`${booking.user}`).toBe(`${user._id}`);
+
+      //A place is taken only while less than maxGroupSize are booked
+      const [filter, update] = db.TourDate.findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({ startDate, participants: { $lt: 2 } });
+      expect(update).toEqual({ $inc: { participants: 1 } });
+    });
+
+    it('creates the counter of the start date from the bookings made before it', async () => {
+      const { token } = loginAs(db);
+      db.Booking.countDocuments.mockReturnValue(1);
+
+      await bookTour(token).expect(201);
+
+      const [counter] = db.TourDate.insertOne.mock.calls[0];
+      expect(counter).toMatchObject({ startDate, participants: 1 });
+      expect(db.Booking.countDocuments.mock.calls[0][0]).toMatchObject({
+        startDate,
+        needsRefund: { $ne: true }
+      });
+    });
+
+    it('refuses a sold out start date', async () => {
+      const { token } = loginAs(db);
+      db.TourDate.findOne.mockReturnValue({ _id: tour._id });
+      db.TourDate.findOneAndUpdate.mockReturnValue({ value: null });
+
+      const res = await bookTour(token);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('SOLD_OUT');
+      expect(db.Booking.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a date on which the tour does not start', async () => {
+      const { token } = loginAs(db);
+
+      const res = await bookTour(token, new Date('2027-06-20T09:00:00.000Z'));
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_START_DATE');
+      expect(db.TourDate.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('gives the seat back when the booking can not be saved', async () => {
+      const { token } = loginAs(db);
+      db.Booking.insertOne.mockImplementation(() => {
+        throw new Error('insert failed');
+      });
+
+      await bookTour(token).expect(500);
+
+      const [filter, update] = db.TourDate.updateOne.mock.calls[0];
+      expect(filter).toMatchObject({ startDate, participants: { $gt: 0 } });
+      expect(update).toEqual({ $inc: { participants: -1 } });
+    });
+
+    it('flags the start dates which are full on the tour', async () => {
+      const { token } = loginAs(db);
+      db.Booking.aggregate.mockReturnValue([
+        { _id: startDate, participants: 2 }
+      ]);
+
+      await bookTour(token).expect(201);
+
+      const [pipeline] = db.Booking.aggregate.mock.calls[0];
+      expect(pipeline[2]).toEqual({
+        $match: { participants: { $gte: 2 } }
+      });
+      const [, update] = db.Tour.findOneAndUpdate.mock.calls[0];
+      expect([...update.$set.soldOutDates]).toEqual([startDate]);
+    });
+  });
+
+  describe('admin bookings', () => {
+    //The tour is not found while populating (as for a hidden or deleted tour)
+    it('gives the seat back when a booking is deleted, even of a hidden tour', async () => {
+      const { token } = loginAs(db, { role: 'admin' });
+      const booking = {
+        _id: tour._id,
+        tour: tour._id,
+        user: tour._id,
+        price: 447,
+        startDate
+      };
+      db.Booking.findOneAndDelete.mockReturnValue({ value: booking });
+
+      await request(app)
+        .delete(`/api/v1/bookings/${booking._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(204);
+
+      const [filter, update] = db.TourDate.updateOne.mock.calls[0];
+      expect(`${filter.tour}`).toBe(`${tour._id}`);
+      expect(update).toEqual({ $inc: { participants: -1 } });
+    });
+
+    it('are not for the users', async () => {
+      const { token } = loginAs(db);
+
+      await request(app)
+        .get('/api/v1/bookings')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+  });
+});
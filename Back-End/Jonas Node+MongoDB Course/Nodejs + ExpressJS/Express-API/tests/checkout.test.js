@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../index.js');
+const paymentProvider = require('../utils/paymentProvider.js');
+const fakePaymentProvider = require('../utils/fakePaymentProvider.js');
+const logger = require('../utils/logger.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+describe('checkout', () => {
+  let db;
+  let tour;
+  const startDate = new Date('2027-06-19T09:00:00.000Z');
+
+  beforeEach(() => {
+    db = mockDb();
+    tour = tourDoc({
+      price: 497,
+      priceDiscount: 50,
+      startDates: [startDate]
+    });
+    db.Tour.findOne.mockImplementation(() => tour);
+  });
+
+  describe('GET /api/v1/bookings/checkout-session/:tourId', () => {
+    const checkoutSession = (token, date = startDate) =>
+      request(app)
+        .get(`/api/v1/bookings/checkout-session/${tour._id}`)
+        .query({ startDate: date.toISOString() })
+        .set('Authorization', `Bearer ${token}`);
+
+    it('creates a session at the discounted price', async () => {
+      const { user, token } = loginAs(db);
+      const createCheckoutSession = jest.spyOn(
+        paymentProvider,
+        'createCheckoutSession'
+      );
+
+      const res = await checkoutSession(token);
+
+      expect(res.status).toBe(200);
+      expect(res.body.session.url).toMatch(/\/fake-checkout\/fake_cs_\w+$/);
+      expect(createCheckoutSession.mock.calls[0][0]).toMatchObject({
+        amount: 447,
+        customerEmail: user.email,
+        metadata: {
+          tour: `${tour._id}`,
+          user: `${user._id}`,
+          startDate: startDate.toISOString()
+        }
+      });
+      //Nothing is booked before the payment
+      expect(db.Booking.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a date on which the tour does not start or which is sold out', async () => {
+      const { token } = loginAs(db);
+
+      await checkoutSession(token, new Date('2027-06-20T09:00:00.000Z')).expect(
+        400
+      );
+      tour.soldOutDates = [startDate];
+      const res = await checkoutSession(token);
+
+      expect(res.status).toBe(400);
+      expect(res.body.detail).toBe('The tour is sold out on the given date');
+    });
+  });
+
+  describe('fake provider', () => {
+    const { NODE_ENV } = process.env;
+
+    afterEach(() => {
+      process.env.NODE_ENV = NODE_ENV;
+    });
+
+    //init is run when the provider is selected, so the app does not start with it
+    it('is refused in production, even when PAYMENT_PROVIDER asks for it', () => {
+      expect(fakePaymentProvider.init).not.toThrow();
+
+      process.env.NODE_ENV = 'production';
+
+      expect(fakePaymentProvider.init).toThrow(
+        'The fake payment provider can not be used in production'
+      );
+    });
+  });
+
+  describe('POST /webhook-checkout', () => {
+    const event = (sessionId = 'fake_cs_1') => ({
+      type: 'checkout.session.completed',
+      data: {
+        id: sessionId,
+        amount: 447,
+        metadata: {
+          tour: `${tour._id}`,
+          user: `${tour._id}`,
+          startDate: startDate.toISOString()
+        }
+      }
+    });
+
+    const sendWebhook = (
+      payload,
+      signature = paymentProvider.signPayload(payload)
+    ) =>
+      request(app)
+        .post('/webhook-checkout')
+        .set('Content-Type', 'application/json')
+        .set('fake-signature', signature)
+        .send(payload);
+
+    const duplicateKeyError = () =>
+      Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+    it('records the paid booking of a signed event', async () => {
+      db.TourDate.findOneAndUpdate.mockReturnValue({
+        value: { participants: 1 }
+      });
+
+      const res = await sendWebhook(JSON.stringify(event()));
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true });
+      const [booking] = db.Booking.insertOne.mock.calls[0];
+      expect(booking).toMatchObject({
+        price: 447,
+        startDate,
+        paid: true,
+        paymentSessionId: 'fake_cs_1',
+        needsRefund: false
+      });
+    });
+
+    it('refuses an event with a wrong, expired or missing signature', async () => {
+      const payload = JSON.stringify(event());
+      const timestamp = Math.floor(Date.now() / 1000);
+      const oldTimestamp = timestamp - 10 * 60;
+      const oldSignature = crypto
+        .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
+        .update(`${oldTimestamp}.${payload}`)
+        .digest('hex');
+
+      const wrong = await sendWebhook(
+        payload,
+        `t=${timestamp},v1=${'0'.repeat(64)}`
+      );
+      const expired = await sendWebhook(
+        payload,
+        `t=${oldTimestamp},v1=${oldSignature}`
+      );
+      const missing = await request(app)
+        .post('/webhook-checkout')
+        .set('Content-Type', 'application/json')
+        .send(payload);
+
+      expect(wrong.status).toBe(400);
+      expect(wrong.body.detail).toBe('Invalid webhook signature');
+      expect(expired.body.detail).toBe('Webhook signature has expired');
+      expect(missing.body.detail).toBe('Missing webhook signature');
+      expect(db.Booking.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('does not record a signed event whose body was changed', async () => {
+      const signature = paymentProvider.signPayload(JSON.stringify(event()));
+      const changed = JSON.stringify({
+        ...event(),
+        data: { ...event().data, amount: 1 }
+      });
+
+      await sendWebhook(changed, signature).expect(400);
+
+      expect(db.Booking.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('accepts an event again without recording it twice', async () => {
+      db.TourDate.findOneAndUpdate.mockReturnValue({
+        value: { participants: 1 }
+      });
+      db.Booking.insertOne.mockImplementation(() => {
+        throw duplicateKeyError();
+      });
+
+      const res = await sendWebhook(JSON.stringify(event()));
+
+      expect(res.status).toBe(200);
+      expect(db.Booking.insertOne).toHaveBeenCalledTimes(1);
+      //The seat taken for the repeated event is given back
+      expect(db.TourDate.updateOne.mock.calls[0][1]).toEqual({
+        $inc: { participants: -1 }
+      });
+    });
+
+    it('keeps the payment for a refund when the date sold out meanwhile', async () => {
+      const warn = jest.spyOn(logger, 'warn');
+      db.TourDate.findOne.mockReturnValue({ _id: tour._id });
+      db.TourDate.findOneAndUpdate.mockReturnValue({ value: null });
+
+      const res = await sendWebhook(JSON.stringify(event()));
+
+      expect(res.status).toBe(200);
+      expect(db.Booking.insertOne).toHaveBeenCalledTimes(1);
+      expect(db.Booking.insertOne.mock.calls[0][0]).toMatchObject({
+        paid: true,
+        paymentSessionId: 'fake_cs_1',
+        needsRefund: true
+      });
+      expect(warn).toHaveBeenCalledWith(
+        'Paid booking needs a refund',
+        expect.objectContaining({ paymentSessionId: 'fake_cs_1' })
+      );
+    });
+
+    it('keeps the payment for a refund when the tour went away', async () => {
+      const payload = JSON.stringify(event());
+      tour = null;
+
+      await sendWebhook(payload).expect(200);
+
+      expect(db.Booking.insertOne.mock.calls[0][0].needsRefund).toBe(true);
+    });
+
+    it('fails on other errors so that the provider sends the event again', async () => {
+      db.TourDate.findOneAndUpdate.mockReturnValue({
+        value: { participants: 1 }
+      });
+      db.Booking.insertOne.mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      await sendWebhook(JSON.stringify(event())).expect(500);
+
+      expect(db.Booking.insertOne).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index.js');
+const RefreshToken = require('../models/refreshTokenModel.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+describe('cookie auth of the browser', () => {
+  let db;
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  describe('protect', () => {
+    it('accepts the jwt cookie on the api', async () => {
+      const { user, token } = loginAs(db);
+
+      const res = await request(app)
+        .get('/api/v1/users/me')
+        .set('Cookie', `jwt_cookie=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user._id).toBe(`${user._id}`);
+    });
+
+    it('sends 401 for the cookie of a logged out browser', async () => {
+      await request(app)
+        .get('/api/v1/users/me')
+        .set('Cookie', 'jwt_cookie=loggedout')
+        .expect(401);
+    });
+  });
+
+  describe('isLoggedIn', () => {
+    it('shows the logged in user in the header', async () => {
+      const { token } = loginAs(db, { name: 'Lourdes Browning' });
+
+      const res = await request(app)
+        .get('/')
+        .set('Cookie', `jwt_cookie=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('<span>Lourdes</span>');
+      expect(res.text).toContain('href="/api/v1/users/logout"');
+    });
+
+    it('renders the page as logged out instead of failing for an invalid cookie', async () => {
+      const res = await request(app)
+        .get('/')
+        .set('Cookie', 'jwt_cookie=loggedout');
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('href="/login"');
+    });
+
+    it('does not trust the cookie once the password has changed', async () => {
+      const iat = Math.floor(Date.now() / 1000) - 60;
+      const { user } = loginAs(db, { passwordChangedAt: new Date() });
+      const token = jwt.sign({ id: user._id, iat }, process.env.JWT_SECRET_KEY);
+
+      const res = await request(app)
+        .get('/')
+        .set('Cookie', `jwt_cookie=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('href="/login"');
+    });
+  });
+
+  describe('GET /api/v1/users/logout', () => {
+    it('overwrites the jwt cookie & revokes the session of the refresh cookie', async () => {
+      db.RefreshToken.findOne.mockReturnValue({
+        _id: 'token-id',
+        tokenHash: RefreshToken.hashToken('refresh-token'),
+        family: 'family-1'
+      });
+
+      const res = await request(app)
+        .get('/api/v1/users/logout')
+        .set('Cookie', 'refresh_cookie=refresh-token');
+
+      expect(res.status).toBe(200);
+      const cookies = res.headers['set-cookie'].join('\n');
+      expect(cookies).toMatch(/jwt_cookie=loggedout;.*HttpOnly/);
+      expect(cookies).toMatch(/refresh_cookie=;.*Expires=Thu, 01 Jan 1970/);
+      expect(db.RefreshToken.findOne.mock.calls[0][0].tokenHash).toBe(
+        RefreshToken.hashToken('refresh-token')
+      );
+      const [filter, update] = db.RefreshToken.updateMany.mock.calls[0];
+      expect(filter).toMatchObject({ family: 'family-1' });
+      expect(update.$set.revokedReason).toBe('logout');
+    });
+
+    it('sends the browser back to the overview', async () => {
+      const res = await request(app)
+        .get('/api/v1/users/logout')
+        .set('Accept', 'text/html');
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe('/');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { userDoc, passwordHash } = require('./helpers/fixtures.js');
+
+//Only the dry run of the import is run as it needs no database
+const script = path.join(__dirname, '../dev-data/data/import-data-script.js');
+
+//Resolves with the exit code & the output of the script
+const runNode = (nodeArgs, args) =>
+  new Promise(resolve => {
+    execFile(
+      process.execPath,
+      [...nodeArgs, script, ...args],
+      { timeout: 15000 },
+      (err, stdout) => resolve({ code: err ? err.code : 0, stdout })
+    );
+  });
+
+const runScript = (...args) => runNode([], args);
+
+//Every run starts a new node process
+jest.setTimeout(20000);
+
+describe('data script', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'natours-data-'));
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it('checks the files of every collection in the import order', async () => {
+    const { code, stdout } = await runScript('--import', '--dry-run');
+
+    expect(code).toBe(0);
+    expect(stdout.split('\n').slice(1, 6)).toEqual([
+      'users: 20 document(s) would be imported (20 with a hashed password)',
+      'tours: 9 document(s) would be imported',
+      'reviews: 60 document(s) would be imported',
+      'bookings: no file found, skipped',
+      'wishlists: no file found, skipped'
+    ]);
+  });
+
+  it('reads ndjson files & reports the invalid documents', async () => {
+    const hashed = userDoc({ password: passwordHash });
+    //A plain password has to be confirmed
+    const plain = userDoc({ email: 'plain@example.com', password: 'pass1234' });
+    fs.writeFileSync(
+      path.join(dir, 'users.ndjson'),
+      `${JSON.stringify(hashed)}\n\n${JSON.stringify(plain)}\n`
+    );
+
+    const { code, stdout } = await runScript(
+      '--import',
+      '--dry-run',
+      '--dir',
+      dir,
+      '--collections',
+      'users'
+    );
+
+    expect(code).toBe(1);
+    expect(stdout).toMatch(
+      'users: 1 document(s) would be imported (1 with a hashed password)'
+    );
+    expect(stdout).toMatch(new RegExp(`💥 ${plain._id}: .*passConfirm`));
+  });
+
+  it('takes the file of a collection from --file', async () => {
+    const { code, stdout } = await runScript(
+      '--import',
+      '--dry-run',
+      '--collections',
+      'tours',
+      '--file',
+      `tours=${path.join(__dirname, '../dev-data/data/tours-simple.json')}`
+    );
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^tours: \d+ document\(s\) would be imported$/m);
+  });
+
+  it('refuses unknown collections & options', async () => {
+    const collection = await runScript('--delete', '--collections', 'books');
+    const option = await runScript('--import', '--force');
+    const format = await runScript('--export', '--format', 'csv');
+
+    expect(collection).toEqual({
+      code: 1,
+      stdout: '💥 Unknown collection(s): books\n'
+    });
+    expect(option.stdout).toBe('💥 Unknown option --force\n');
+    expect(format.stdout).toBe('💥 Format should be either json or ndjson\n');
+  });
+
+  it('only needs the dev dependencies for --in-memory', async () => {
+    const withoutDevDependencies = [
+      '-r',
+      path.join(__dirname, 'helpers/withoutDevDependencies.js')
+    ];
+
+    const dryRun = await runNode(withoutDevDependencies, [
+      '--import',
+      '--dry-run',
+      '--collections',
+      'tours'
+    ]);
+    const inMemory = await runNode(withoutDevDependencies, [
+      '--delete',
+      '--in-memory'
+    ]);
+
+    expect(dryRun.code).toBe(0);
+    expect(dryRun.stdout).toMatch('tours: 9 document(s) would be imported');
+    expect(inMemory).toEqual({
+      code: 1,
+      stdout: "💥 Cannot find module 'mongodb-memory-server'\n"
+    });
+  });
+
+  it('shows the usage without an action', async () => {
+    const { code, stdout } = await runScript('--dry-run');
+
+    expect(code).toBe(1);
+    expect(stdout).toMatch('--import');
+    expect(stdout).toMatch('--in-memory');
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const user = { name: 'Jennifer Hardy', email: 'jennifer@example.com' };
+
+//The transport is created on the first email, so every test loads its own emailSender
+const loadEmail = () => {
+  let Email;
+  jest.isolateModules(() => {
+    // eslint-disable-next-line global-require
+    Email = require('../utils/emailSender.js');
+  });
+  return Email;
+};
+
+describe('Email', () => {
+  describe('outbox transport', () => {
+    let outboxDir;
+
+    beforeEach(() => {
+      outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'natours-outbox-'));
+      process.env.EMAIL_OUTBOX_DIR = outboxDir;
+    });
+
+    afterEach(() => {
+      fs.readdirSync(outboxDir).forEach(file =>
+        fs.unlinkSync(path.join(outboxDir, file))
+      );
+      fs.rmdirSync(outboxDir);
+    });
+
+    const outbox = () =>
+      fs
+        .readdirSync(outboxDir)
+        .map(file =>
+          JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8'))
+        );
+
+    it('saves the email rendered from the pug template with a text version', async () => {
+      const Email = loadEmail();
+
+      await new Email(user, 'http://localhost:3000/verify/123').sendWelcome();
+
+      const [email] = outbox();
+      expect(email).toMatchObject({
+        to: 'jennifer@example.com',
+        subject: 'Welcome to the Natours family!'
+      });
+      expect(email.html).toContain('Hi Jennifer,');
+      expect(email.html).toContain('href="http://localhost:3000/verify/123"');
+      expect(email.html).toMatch(/^<!DOCTYPE html>/i);
+      expect(email.text).toContain('Hi Jennifer,');
+      expect(email.text).not.toContain('<');
+    });
+
+    it('passes the locals of the email to the template', async () => {
+      const Email = loadEmail();
+      const lockUntil = new Date('2026-01-01T10:00:00Z');
+
+      await new Email(user, 'http://localhost:3000/login').sendAccountLocked(
+        lockUntil
+      );
+
+      const [email] = outbox();
+      expect(email.subject).toBe('Your account has been locked');
+      expect(email.text).toContain(lockUntil.toUTCString());
+    });
+
+    it('creates the transport only once', async () => {
+      const createTransport = jest.spyOn(nodemailer, 'createTransport');
+      const Email = loadEmail();
+
+      await new Email(user, 'http://localhost:3000').sendPasswordReset();
+      await new Email(user, 'http://localhost:3000').sendWelcome();
+
+      expect(createTransport).toHaveBeenCalledTimes(1);
+      expect(outbox()).toHaveLength(2);
+    });
+  });
+
+  it('sends through the EMAIL_HOST server unless the outbox is chosen', async () => {
+    const sendMail = jest.fn();
+    const createTransport = jest
+      .spyOn(nodemailer, 'createTransport')
+      .mockReturnValue({ sendMail });
+    process.env.EMAIL_TRANSPORT = 'smtp';
+    process.env.EMAIL_HOST = 'smtp.example.com';
+    const Email = loadEmail();
+
+    try {
+      await new Email(user, 'http://localhost:3000').sendPasswordReset();
+    } finally {
+      process.env.EMAIL_TRANSPORT = 'outbox';
+      delete process.env.EMAIL_HOST;
+    }
+
+    expect(createTransport.mock.calls[0][0]).toMatchObject({
+      host: 'smtp.example.com'
+    });
+    expect(sendMail.mock.calls[0][0]).toMatchObject({
+      to: 'jennifer@example.com',
+      subject: 'Your password reset link (valid for only 10 minutes)'
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../index.js');
+const Email = require('../utils/emailSender.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { userDoc } = require('./helpers/fixtures.js');
+
+const hash = token =>
+  crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+describe('email verification', () => {
+  let db;
+  let sentUrls;
+
+  beforeEach(() => {
+    db = mockDb();
+    sentUrls = [];
+    const recordUrl = function() {
+      sentUrls.push(this.url);
+    };
+    jest.spyOn(Email.prototype, 'sendWelcome').mockImplementation(recordUrl);
+    jest
+      .spyOn(Email.prototype, 'sendEmailVerification')
+      .mockImplementation(recordUrl);
+  });
+
+  //Token of the link sent by email
+  const sentToken = () => sentUrls[0].split('/verifyEmail/')[1];
+
+  describe('POST /api/v1/users/signup', () => {
+    const signup = () =>
+      request(app)
+        .post('/api/v1/users/signup')
+        .send({
+          name: 'Jennifer Hardy',
+          email: 'jennifer@example.com',
+          password: 'pass1234',
+          passConfirm: 'pass1234'
+        });
+
+    it('creates an unverified user & sends the link with the token of which only the hash is stored', async () => {
+      const res = await signup();
+
+      expect(res.status).toBe(201);
+      const [inserted] = db.User.insertOne.mock.calls[0];
+      expect(inserted.emailVerified).toBe(false);
+
+      expect(sentUrls[0]).toMatch(/\/api\/v1\/users\/verifyEmail\/[0-9a-f]+$/);
+      const [, update] = db.User.updateOne.mock.calls[0];
+      expect(update.$set.emailVerificationToken).toBe(hash(sentToken()));
+      expect(update.$set.emailVerificationExpires.getTime()).toBeGreaterThan(
+        Date.now()
+      );
+      expect(res.body.data.user.emailVerificationToken).toBeUndefined();
+    });
+
+    it('still signs the user up when the email can not be sent', async () => {
+      Email.prototype.sendWelcome.mockRejectedValue(new Error('SMTP down'));
+
+      const res = await signup();
+
+      expect(res.status).toBe(201);
+      //The token of the failed email is taken off again
+      const [, update] = db.User.updateOne.mock.calls[1];
+      expect(update.$unset).toMatchObject({
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1
+      });
+    });
+  });
+
+  describe('GET /api/v1/users/verifyEmail/:token', () => {
+    it('verifies the email & removes the single use token', async () => {
+      const user = userDoc({
+        emailVerified: false,
+        emailVerificationToken: hash('plain-token')
+      });
+      db.User.findOne.mockReturnValue(user);
+
+      const res = await request(app).get(
+        '/api/v1/users/verifyEmail/plain-token'
+      );
+
+      expect(res.status).toBe(200);
+      const [filter] = db.User.findOne.mock.calls[0];
+      expect(filter.emailVerificationToken).toBe(hash('plain-token'));
+      expect(filter.emailVerificationExpires.$gte).toBeDefined();
+
+      const [, update] = db.User.updateOne.mock.calls[0];
+      expect(update.$set).toMatchObject({ emailVerified: true });
+      expect(update.$unset).toEqual({
+        emailVerificationToken: 1,
+        emailVerificationExpires: 1
+      });
+    });
+
+    it('sends 404 for an invalid or expired link', async () => {
+      const res = await request(app).get('/api/v1/users/verifyEmail/expired');
+
+      expect(res.status).toBe(404);
+      expect(db.User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('EMAIL_VERIFICATION_REQUIRED', () => {
+    beforeEach(() => {
+      process.env.EMAIL_VERIFICATION_REQUIRED = 'true';
+    });
+
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_REQUIRED;
+    });
+
+    it('lets unverified users read but not write', async () => {
+      const { token } = loginAs(db, { emailVerified: false });
+
+      await request(app)
+        .get('/api/v1/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const res = await request(app)
+        .patch('/api/v1/users/updateMe')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'New Name' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.detail).toMatch(/verify your email/);
+    });
+
+    it('still lets them ask for a new link', async () => {
+      const { token } = loginAs(db, { emailVerified: false });
+
+      const res = await request(app)
+        .post('/api/v1/users/resendVerification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(sentUrls).toHaveLength(1);
+      const [, update] = db.User.updateOne.mock.calls[0];
+      expect(update.$set.emailVerificationToken).toBe(hash(sentToken()));
+    });
+  });
+
+  it('does not resend the link to a verified user', async () => {
+    const { token } = loginAs(db);
+
+    await request(app)
+      .post('/api/v1/users/resendVerification')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    expect(sentUrls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const app = require('../index.js');
+const Tour = require('../models/tourModel.js');
+const APIfeatures = require('../utils/appFeatures.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+describe('filtering with query operators', () => {
+  const filterOf = (queryString, allowedFields = ['price', 'difficulty']) =>
+    new APIfeatures(Tour.find(), queryString)
+      .filter(allowedFields)
+      .query.getFilter();
+
+  describe('APIfeatures.filter', () => {
+    it('turns [op] into the mongo operator', () => {
+      expect(filterOf({ price: { gte: '500', lt: '1000' } })).toEqual({
+        price: { $gte: '500', $lt: '1000' }
+      });
+    });
+
+    it('turns comma separated & repeated values into $in', () => {
+      expect(filterOf({ difficulty: 'easy,medium' })).toEqual({
+        difficulty: { $in: ['easy', 'medium'] }
+      });
+      expect(filterOf({ difficulty: ['easy', 'difficult'] })).toEqual({
+        difficulty: { $in: ['easy', 'difficult'] }
+      });
+      expect(filterOf({ difficulty: { in: 'easy,medium' } })).toEqual({
+        difficulty: { $in: ['easy', 'medium'] }
+      });
+    });
+
+    it('leaves out the paging, sorting & field parameters', () => {
+      expect(
+        filterOf({
+          price: '497',
+          page: '2',
+          limit: '10',
+          sort: 'price',
+          fields: 'name',
+          after: ''
+        })
+      ).toEqual({ price: '497' });
+    });
+
+    it('rejects the fields which are not whitelisted', () => {
+      expect(() => filterOf({ secretTour: 'true' })).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringContaining(
+            'Filtering is not allowed on: secretTour'
+          )
+        })
+      );
+    });
+
+    it('rejects unknown operators', () => {
+      expect(() => filterOf({ price: { regex: '.*' } })).toThrow(
+        expect.objectContaining({
+          statusCode: 400,
+          message: expect.stringContaining("Invalid operator 'regex' on price")
+        })
+      );
+    });
+  });
+
+  describe('GET /api/v1/tours', () => {
+    let db;
+    let token;
+
+    beforeEach(() => {
+      db = mockDb();
+      ({ token } = loginAs(db));
+    });
+
+    it('sends the filter to mongo with the values cast to the schema types', async () => {
+      const res = await request(app)
+        .get('/api/v1/tours?price[lte]=1000&difficulty=easy,medium')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      const [filter] = db.Tour.find.mock.calls[0];
+      expect(filter).toMatchObject({
+        price: { $lte: 1000 },
+        difficulty: { $in: ['easy', 'medium'] }
+      });
+    });
+
+    it('sends 400 for a field which can not be filtered', async () => {
+      const res = await request(app)
+        .get('/api/v1/tours?guides=123')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+      expect(db.Tour.find).not.toHaveBeenCalled();
+    });
+  });
+});
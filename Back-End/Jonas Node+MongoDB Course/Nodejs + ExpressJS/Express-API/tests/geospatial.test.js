@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+
+describe('geospatial tour queries', () => {
+  let db;
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  describe('GET /api/v1/tours/tours-within/:distance/center/:latlng/unit/:unit', () => {
+    const centerSphere = () =>
+      db.Tour.find.mock.calls[0][0].startLocation.$geoWithin.$centerSphere;
+
+    it('finds the tours within the radius in miles as [lng, lat]', async () => {
+      db.Tour.find.mockReturnValue([{ name: 'The Sea Explorer' }]);
+
+      const res = await request(app).get(
+        '/api/v1/tours/tours-within/233/center/34.111745,-118.113491/unit/mi'
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.results).toBe(1);
+      expect(centerSphere()).toEqual([[-118.113491, 34.111745], 233 / 3963.2]);
+    });
+
+    it('converts kilometers with the radius of the earth in km', async () => {
+      await request(app)
+        .get('/api/v1/tours/tours-within/100/center/34.1,-118.1/unit/km')
+        .expect(200);
+
+      expect(centerSphere()[1]).toBeCloseTo(100 / 6378.1);
+    });
+
+    it.each([
+      [
+        'the unit is not mi or km',
+        '/tours-within/100/center/34.1,-118.1/unit/m'
+      ],
+      ['latlng is not lat,lng', '/tours-within/100/center/34.1/unit/km'],
+      [
+        'the distance is not positive',
+        '/tours-within/-5/center/34.1,-118.1/unit/km'
+      ]
+    ])('sends 400 when %s', async (_, url) => {
+      const res = await request(app).get(`/api/v1/tours${url}`);
+
+      expect(res.status).toBe(400);
+      expect(db.Tour.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/tours/distances/:latlng/unit/:unit', () => {
+    it('sends the distance of every tour with $geoNear as the first stage', async () => {
+      db.Tour.aggregate.mockReturnValue([
+        { name: 'The Forest Hiker', distance: 12.5 }
+      ]);
+
+      const res = await request(app).get(
+        '/api/v1/tours/distances/34.111745,-118.113491/unit/km'
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.distances).toEqual([
+        { name: 'The Forest Hiker', distance: 12.5 }
+      ]);
+
+      const [pipeline] = db.Tour.aggregate.mock.calls[0];
+      expect(pipeline[0].$geoNear).toMatchObject({
+        near: { type: 'Point', coordinates: [-118.113491, 34.111745] },
+        distanceMultiplier: 0.001
+      });
+      //Hidden tours are taken out right after $geoNear
+      expect(pipeline[1].$match).toBeDefined();
+    });
+
+    it('gives the distances in miles', async () => {
+      await request(app)
+        .get('/api/v1/tours/distances/34.1,-118.1/unit/mi')
+        .expect(200);
+
+      const [pipeline] = db.Tour.aggregate.mock.calls[0];
+      expect(pipeline[0].$geoNear.distanceMultiplier).toBe(0.000621371);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index.js');
+const factory = require('../controllers/handlerFactory.js');
+const globalErrorHandler = require('../controllers/errorController.js');
+const Review = require('../models/reviewModel.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+const { ObjectId } = mongoose.Types;
+
+describe('handler factory', () => {
+  let db;
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  //Handlers of the factory mounted on their own under /api (so errors are sent as json)
+  //queryOptions stands for what an earlier middleware sets
+  const factoryApp = (handlers, queryOptions) => {
+    const testApp = express();
+    testApp.use(express.json());
+    testApp.use((req, res, next) => {
+      req.queryOptions = queryOptions;
+      next();
+    });
+    testApp.use('/api/reviews', handlers);
+    testApp.use(globalErrorHandler);
+    return testApp;
+  };
+
+  const storedReview = () => ({
+    _id: new ObjectId(),
+    review: 'Great guides',
+    rating: 4,
+    tour: new ObjectId(),
+    user: new ObjectId()
+  });
+
+  it('names the response keys after the model', async () => {
+    const review = storedReview();
+    db.Review.find.mockReturnValue([review]);
+    db.Review.findOne.mockReturnValue(review);
+    const router = express.Router();
+    router.get('/', factory.getAll(Review));
+    router.get('/:id', factory.getOne(Review));
+
+    const list = await request(factoryApp(router)).get('/api/reviews');
+    const single = await request(factoryApp(router)).get(
+      `/api/reviews/${review._id}`
+    );
+
+    expect(list.body.data.reviews).toHaveLength(1);
+    expect(single.body.data.review._id).toBe(`${review._id}`);
+  });
+
+  it('only gets the documents of the tour on the nested routes', async () => {
+    const tourId = new ObjectId();
+    const router = express.Router({ mergeParams: true });
+    router.get('/', factory.getAll(Review));
+    const testApp = express();
+    testApp.use('/tours/:tourId/reviews', router);
+
+    await request(testApp)
+      .get(`/tours/${tourId}/reviews`)
+      .expect(200);
+
+    expect(`${db.Review.find.mock.calls[0][0].tour}`).toBe(`${tourId}`);
+  });
+
+  it('creates & updates only with the allowed fields of the body', async () => {
+    const review = storedReview();
+    db.Review.findOneAndUpdate.mockReturnValue({ value: review });
+    const router = express.Router();
+    router.post(
+      '/',
+      factory.createOne(Review, {
+        allowedFields: ['review', 'rating', 'tour', 'user']
+      })
+    );
+    router.patch(
+      '/:id',
+      factory.updateOne(Review, { allowedFields: ['rating'] })
+    );
+
+    await request(factoryApp(router))
+      .post('/api/reviews')
+      .send({
+        review: 'Nice',
+        rating: 5,
+        tour: `${review.tour}`,
+        user: `${review.user}`,
+        createdAt: '2000-01-01'
+      })
+      .expect(201);
+    await request(factoryApp(router))
+      .patch(`/api/reviews/${review._id}`)
+      .send({ rating: 5, tour: `${new ObjectId()}` })
+      .expect(200);
+
+    const [inserted] = db.Review.insertOne.mock.calls[0];
+    expect(inserted.review).toBe('Nice');
+    expect(inserted.createdAt.getFullYear()).not.toBe(2000);
+    expect(db.Review.findOneAndUpdate.mock.calls[0][1]).toEqual({
+      $set: { rating: 5 }
+    });
+  });
+
+  it('passes req.queryOptions to the queries', async () => {
+    const id = `${new ObjectId()}`;
+    const findById = jest.spyOn(Review, 'findById');
+    const findByIdAndDelete = jest.spyOn(Review, 'findByIdAndDelete');
+    const router = express.Router();
+    router.get('/:id', factory.getOne(Review));
+    router.delete('/:id', factory.deleteOne(Review));
+    const testApp = factoryApp(router, { includeHidden: true });
+
+    await request(testApp).get(`/api/reviews/${id}`);
+    await request(testApp).delete(`/api/reviews/${id}`);
+
+    expect(findById).toHaveBeenCalledWith(id, null, { includeHidden: true });
+    expect(findByIdAndDelete).toHaveBeenCalledWith(id, {
+      includeHidden: true
+    });
+  });
+
+  it('runs afterUpdate with the updated document', async () => {
+    const review = storedReview();
+    db.Review.findOneAndUpdate.mockReturnValue({ value: review });
+    const afterUpdate = jest.fn();
+    const router = express.Router();
+    router.patch('/:id', factory.updateOne(Review, { afterUpdate }));
+
+    await request(factoryApp(router))
+      .patch(`/api/reviews/${review._id}`)
+      .send({ rating: 5 })
+      .expect(200);
+
+    expect(afterUpdate).toHaveBeenCalledTimes(1);
+    expect(`${afterUpdate.mock.calls[0][0]._id}`).toBe(`${review._id}`);
+  });
+
+  it.each([
+    ['getOne', 'get'],
+    ['updateOne', 'patch'],
+    ['deleteOne', 'delete']
+  ])('%s sends 404 when there is no document', async (handler, method) => {
+    const router = express.Router();
+    router[method]('/:id', factory[handler](Review));
+
+    const res = await request(factoryApp(router))
+      [method](`/api/reviews/${new ObjectId()}`)
+      .send({ rating: 5 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.detail).toBe('No review found with the provided ID');
+  });
+
+  describe('admin user routes', () => {
+    it('are only for the admins', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+
+      await request(app)
+        .get('/api/v1/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    it('let the admins change the role of a user', async () => {
+      const target = {
+        _id: new ObjectId(),
+        name: 'Guide',
+        email: 'guide@example.com',
+        role: 'user'
+      };
+      const { token } = loginAs(db, { role: 'admin' }, [target]);
+      db.User.findOneAndUpdate.mockReturnValue({
+        value: { ...target, role: 'guide' }
+      });
+
+      const res = await request(app)
+        .patch(`/api/v1/users/${target._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'guide' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.role).toBe('guide');
+      expect(db.User.findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+        role: 'guide'
+      });
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+//The fake users collection finds the given users by _id, protect loads the logged in user with it
+exports.storeUsers = (db, users) => {
+  db.User.findOne.mockImplementation(
+    filter => users.find(user => `${user._id}` === `${filter._id}`) || null
+  );
+};
+
+//Logged in user for the protected routes, otherUsers can be found along with it (eg. the user an admin updates)
+//eg: const { user, token } = loginAs(db, { role: 'admin' }) then .set('Authorization', `Bearer ${token}`)
+exports.loginAs = (db, fields = {}, otherUsers = []) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Test User',
+    email: 'test.user@example.com',
+    role: 'user',
+    emailVerified: true,
+    ...fields
+  };
+  exports.storeUsers(db, [user, ...otherUsers]);
+
+  const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET_KEY);
+  return { user, token };
+};
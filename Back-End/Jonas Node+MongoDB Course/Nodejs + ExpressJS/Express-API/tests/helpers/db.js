@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+//Fake MongoDB driver collections, the models still cast, validate & run their middlewares but nothing reaches a server
+//Every operation is a jest mock taking the arguments the driver gets (without the callback) & returning what the driver sends back
+//eg: db.Tour.findOne.mockResolvedValue(tour), expect(db.Tour.updateOne).toHaveBeenCalledWith(filter, update, expect.anything())
+
+const cursor = docs => ({
+  toArray: callBack => callBack(null, docs)
+});
+
+const defaults = {
+  find: () => [],
+  findOne: () => null,
+  countDocuments: () => 0,
+  estimatedDocumentCount: () => 0,
+  distinct: () => [],
+  aggregate: () => [],
+  insertOne: doc => ({ insertedCount: 1, insertedId: doc._id }),
+  insertMany: docs => ({ insertedCount: docs.length }),
+  updateOne: () => ({ result: { ok: 1, n: 1, nModified: 1 } }),
+  updateMany: () => ({ result: { ok: 1, n: 0, nModified: 0 } }),
+  deleteOne: () => ({ deletedCount: 0 }),
+  deleteMany: () => ({ deletedCount: 0 }),
+  //{ value: <document before or after the update>, lastErrorObject: { updatedExisting } }
+  findOneAndUpdate: () => ({ value: null, lastErrorObject: { n: 0 } }),
+  findOneAndDelete: () => ({ value: null, lastErrorObject: { n: 0 } })
+};
+
+//find & aggregate give a cursor to mongoose
+const cursorOps = ['find', 'aggregate'];
+
+const fakeCollection = mocks => {
+  const collection = {};
+
+  Object.keys(mocks).forEach(op => {
+    collection[op] = (...args) => {
+      const callBack = args.pop();
+      Promise.resolve()
+        .then(() => mocks[op](...args))
+        .then(
+          res => callBack(null, cursorOps.includes(op) ? cursor(res) : res),
+          callBack
+        );
+    };
+  });
+
+  //findOneAndUpdate & findOneAndDelete of mongoose go through _findAndModify unless useFindAndModify is false
+  collection._findAndModify = (filter, sort, update, options, callBack) => {
+    const { remove, ...rest } = { ...options, sort };
+    if (remove) return collection.findOneAndDelete(filter, rest, callBack);
+    collection.findOneAndUpdate(filter, update, rest, callBack);
+  };
+
+  return collection;
+};
+
+//Replaces the collection of every model with a new fake one, returns the mocks by model name eg: db.Tour.find
+module.exports = () => {
+  const db = {};
+
+  mongoose.modelNames().forEach(name => {
+    const Model = mongoose.model(name);
+    const mocks = {};
+    Object.keys(defaults).forEach(op => {
+      mocks[op] = jest.fn(defaults[op]);
+    });
+
+    Model.collection.collection = fakeCollection(mocks);
+    Model.collection.buffer = false;
+    db[name] = mocks;
+  });
+
+  return db;
+};
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const { ObjectId } = mongoose.Types;
+
+//Documents as they are stored in the collections, the fields can be changed eg: tourDoc({ maxGroupSize: 2 })
+
+exports.tourDoc = (fields = {}) => ({
+  _id: new ObjectId(),
+  name: 'The Forest Hiker',
+  slug: 'the-forest-hiker',
+  duration: 5,
+  maxGroupSize: 10,
+  difficulty: 'easy',
+  price: 397,
+  summary: 'Breathtaking hike through the Canadian Banff National Park',
+  imageCover: 'tour-1-cover.jpg',
+  images: [],
+  startDates: [],
+  soldOutDates: [],
+  guides: [],
+  ...fields
+});
+
+exports.userDoc = (fields = {}) => ({
+  _id: new ObjectId(),
+  name: 'Leo Gillespie',
+  email: 'leo@example.com',
+  role: 'user',
+  emailVerified: true,
+  ...fields
+});
+
+//Stored hash of 'pass1234' (low cost so that the tests stay fast), eg: userDoc({ password: passwordHash })
+exports.passwordHash = bcrypt.hashSync('pass1234', 4);
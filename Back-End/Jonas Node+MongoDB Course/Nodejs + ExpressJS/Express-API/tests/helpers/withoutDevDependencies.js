@@ -0,0 +1,14 @@
+const Module = require('module');
+
+//Preloaded with node -r so that the dev dependencies are missing as after npm ci --production
+const devDependencies = ['mongodb-memory-server'];
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, ...args) {
+  if (devDependencies.includes(request)) {
+    const err = new Error(`Cannot find module '${request}'`);
+    err.code = 'MODULE_NOT_FOUND';
+    throw err;
+  }
+  return resolveFilename.call(this, request, ...args);
+};
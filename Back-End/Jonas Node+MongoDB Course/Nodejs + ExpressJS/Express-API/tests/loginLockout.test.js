@@ -0,0 +1,139 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index.js');
+const Email = require('../utils/emailSender.js');
+const mockDb = require('./helpers/db.js');
+const { userDoc, passwordHash } = require('./helpers/fixtures.js');
+
+describe('login lockout', () => {
+  let db;
+  let user;
+  //Stored login attempts by key
+  let attempts;
+
+  const storedAttempt = (key, fields = {}) => {
+    attempts[key] = {
+      _id: new mongoose.Types.ObjectId(),
+      key,
+      failures: 0,
+      lockCount: 0,
+      ...fields
+    };
+    return attempts[key];
+  };
+
+  beforeEach(() => {
+    db = mockDb();
+    user = userDoc({ email: 'leo@example.com', password: passwordHash });
+    attempts = {};
+    db.User.findOne.mockImplementation(filter =>
+      filter.email === user.email ? user : null
+    );
+    db.LoginAttempt.findOne.mockImplementation(
+      filter => attempts[filter.key] || null
+    );
+    //$inc of registerFailure on the stored attempt (upserted when missing)
+    db.LoginAttempt.findOneAndUpdate.mockImplementation((filter, update) => {
+      const attempt = attempts[filter.key] || storedAttempt(filter.key);
+      attempt.failures += update.$inc.failures;
+      return { value: { ...attempt } };
+    });
+    jest.spyOn(Email.prototype, 'sendAccountLocked').mockResolvedValue();
+  });
+
+  const login = password =>
+    request(app)
+      .post('/api/v1/users/login')
+      .send({ email: 'leo@example.com', password });
+
+  //lockUntil & lockCount saved by registerFailure when the key gets locked
+  const savedLocks = () =>
+    db.LoginAttempt.updateOne.mock.calls.map(([filter, update]) => ({
+      key: Object.keys(attempts).find(
+        key => `${attempts[key]._id}` === `${filter._id}`
+      ),
+      ...update.$set
+    }));
+
+  it('counts the failure for the account & the ip', async () => {
+    const res = await login('wrong-password');
+
+    expect(res.status).toBe(401);
+    const keys = db.LoginAttempt.findOneAndUpdate.mock.calls.map(
+      ([filter]) => filter.key
+    );
+    expect(keys).toEqual(['email:leo@example.com', 'ip:::ffff:127.0.0.1']);
+    expect(db.LoginAttempt.findOneAndUpdate.mock.calls[0][2]).toMatchObject({
+      upsert: true
+    });
+  });
+
+  it('locks the account with 429 & Retry-After on the last allowed failure & emails the user', async () => {
+    storedAttempt('email:leo@example.com', { failures: 4 });
+
+    const res = await login('wrong-password');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeCloseTo(5 * 60, -1);
+    expect(res.body.detail).toMatch(/try again in 5 minute\(s\)/);
+
+    const [lock] = savedLocks();
+    expect(lock).toMatchObject({
+      key: 'email:leo@example.com',
+      failures: 0,
+      lockCount: 1
+    });
+    expect(Email.prototype.sendAccountLocked).toHaveBeenCalledWith(
+      lock.lockUntil
+    );
+  });
+
+  it('doubles the lock every time the account gets locked again', async () => {
+    storedAttempt('email:leo@example.com', {
+      failures: 4,
+      lockCount: 2
+    });
+
+    const res = await login('wrong-password');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeCloseTo(20 * 60, -1);
+    expect(savedLocks()[0].lockCount).toBe(3);
+  });
+
+  it('refuses a locked account before checking the password', async () => {
+    storedAttempt('email:leo@example.com', {
+      lockCount: 1,
+      lockUntil: new Date(Date.now() + 90 * 1000)
+    });
+
+    const res = await login('pass1234');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeCloseTo(90, -1);
+    expect(db.User.findOne).not.toHaveBeenCalled();
+  });
+
+  it('locks the ip even when the accounts do not exist, without any email', async () => {
+    storedAttempt('ip:::ffff:127.0.0.1', { failures: 19 });
+
+    const res = await request(app)
+      .post('/api/v1/users/login')
+      .send({ email: 'nobody@example.com', password: 'pass1234' });
+
+    expect(res.status).toBe(429);
+    expect(savedLocks()[0].key).toBe('ip:::ffff:127.0.0.1');
+    expect(Email.prototype.sendAccountLocked).not.toHaveBeenCalled();
+  });
+
+  it('forgets the failures of the account after a successful login', async () => {
+    storedAttempt('email:leo@example.com', { failures: 3 });
+
+    const res = await login('pass1234');
+
+    expect(res.status).toBe(200);
+    expect(db.LoginAttempt.deleteOne.mock.calls[0][0]).toEqual({
+      key: 'email:leo@example.com'
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+const { ObjectId } = mongoose.Types;
+
+describe('pagination of the list endpoints', () => {
+  let db;
+  let token;
+
+  beforeEach(() => {
+    db = mockDb();
+    ({ token } = loginAs(db));
+  });
+
+  const getTours = query =>
+    request(app)
+      .get(`/api/v1/tours${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  const tours = count =>
+    Array.from({ length: count }, (_, i) => ({
+      _id: new ObjectId(),
+      name: `Tour ${i + 1}`
+    }));
+
+  //Options of the find sent to mongo (skip, limit, sort)
+  const findOptions = () => db.Tour.find.mock.calls[0][1];
+
+  describe('page mode', () => {
+    it('sends the total, the page count & the links of the next and previous pages', async () => {
+      db.Tour.find.mockReturnValue(tours(10));
+      db.Tour.countDocuments.mockReturnValue(35);
+
+      const res = await getTours('?page=2&limit=10&difficulty=easy');
+
+      expect(res.status).toBe(200);
+      expect(findOptions()).toMatchObject({ skip: 10, limit: 10 });
+      expect(db.Tour.countDocuments.mock.calls[0][0]).toMatchObject({
+        difficulty: 'easy'
+      });
+      expect(res.body.pagination).toMatchObject({
+        total: 35,
+        limit: 10,
+        page: 2,
+        pageCount: 4
+      });
+      expect(res.body.pagination.links.next).toMatch(
+        /\/api\/v1\/tours\?page=3&limit=10&difficulty=easy$/
+      );
+      expect(res.body.pagination.links.prev).toMatch(/\?page=1&/);
+      expect(res.headers.link).toContain('rel="next"');
+      expect(res.headers.link).toContain('rel="prev"');
+    });
+
+    it('sends no links when everything fits in one page', async () => {
+      db.Tour.find.mockReturnValue(tours(3));
+      db.Tour.countDocuments.mockReturnValue(3);
+
+      const res = await getTours('');
+
+      expect(res.body.pagination).toMatchObject({ page: 1, pageCount: 1 });
+      expect(res.body.pagination.links).toEqual({});
+      expect(res.headers.link).toBeUndefined();
+    });
+  });
+
+  it('sends 400 for a page or a limit which is not a whole number from 1', async () => {
+    const res = await getTours('?page=-1');
+    await getTours('?limit=-5').expect(400);
+    await getTours('?limit=0').expect(400);
+    await getTours('?page=1.5').expect(400);
+
+    expect(res.status).toBe(400);
+    expect(res.body.detail).toBe('page should be a whole number of at least 1');
+    expect(db.Tour.find).not.toHaveBeenCalled();
+  });
+
+  describe('cursor mode', () => {
+    it('goes by _id from the cursor & fetches one extra tour to know if there is more', async () => {
+      const after = new ObjectId();
+      const docs = tours(3);
+      db.Tour.find.mockReturnValue(docs);
+
+      const res = await getTours(`?after=${after}&limit=2`);
+
+      expect(res.status).toBe(200);
+      expect(`${db.Tour.find.mock.calls[0][0]._id.$gt}`).toBe(`${after}`);
+      expect(findOptions()).toMatchObject({ sort: { _id: 1 }, limit: 3 });
+      expect(res.body.results).toBe(2);
+      expect(res.body.pagination.nextCursor).toBe(`${docs[1]._id}`);
+      expect(res.body.pagination.links.next).toContain(`after=${docs[1]._id}`);
+    });
+
+    it('starts from the first tour with an empty cursor & ends with a null cursor', async () => {
+      db.Tour.find.mockReturnValue(tours(2));
+
+      const res = await getTours('?after=&limit=2');
+
+      expect(db.Tour.find.mock.calls[0][0]._id).toBeUndefined();
+      expect(res.body.pagination.nextCursor).toBeNull();
+      expect(res.body.pagination.links).toEqual({});
+    });
+
+    it('sends 400 for an invalid cursor or a sort along with the cursor', async () => {
+      await getTours('?after=not-an-id').expect(400);
+      await getTours(`?after=${new ObjectId()}&sort=price`).expect(400);
+
+      expect(db.Tour.find).not.toHaveBeenCalled();
+    });
+  });
+});
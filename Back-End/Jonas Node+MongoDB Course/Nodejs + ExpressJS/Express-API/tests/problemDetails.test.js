@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+
+describe('error responses', () => {
+  let db;
+  const { NODE_ENV } = process.env;
+  //Public route which needs no login
+  const distancesUrl = '/api/v1/tours/distances/34.1,-118.1/unit/km';
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+  });
+
+  const failAggregate = () =>
+    db.Tour.aggregate.mockImplementation(() => {
+      throw new Error('connection lost');
+    });
+
+  it('sends the problem details of an operational error', async () => {
+    const res = await request(app)
+      .get('/api/v1/no-such-route')
+      .set('X-Request-Id', 'trace-45');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: '/problems/not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: expect.any(String),
+      instance: '/api/v1/no-such-route',
+      code: 'NOT_FOUND',
+      requestId: 'trace-45'
+    });
+  });
+
+  it('sends a generic 500 for programming errors', async () => {
+    failAggregate();
+
+    const res = await request(app).get(distancesUrl);
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({
+      status: 500,
+      code: 'INTERNAL_SERVER_ERROR',
+      detail: 'Something went very wrong. Please try again later'
+    });
+    expect(JSON.stringify(res.body)).not.toMatch(/connection lost/);
+  });
+
+  it('names the field of a duplicate key', async () => {
+    db.User.insertOne.mockImplementation(() => {
+      throw Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyValue: { email: 'leo@example.com' }
+      });
+    });
+
+    const res = await request(app)
+      .post('/api/v1/users/signup')
+      .send({
+        name: 'Leo Gillespie',
+        email: 'leo@example.com',
+        password: 'pass1234',
+        passConfirm: 'pass1234'
+      });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({
+      code: 'DUPLICATE_KEY',
+      detail:
+        'Duplicate value for email (email: leo@example.com). Please use another value',
+      errors: [{ field: 'email', message: 'email already exists' }]
+    });
+  });
+
+  it('shows the message & stack only in development', async () => {
+    failAggregate();
+    process.env.NODE_ENV = 'development';
+
+    const res = await request(app).get(distancesUrl);
+
+    expect(res.status).toBe(500);
+    expect(res.body.detail).toBe('connection lost');
+    expect(res.body.stack).toMatch(/^Error: connection lost/);
+  });
+
+  it('treats an unknown environment as production', async () => {
+    failAggregate();
+    process.env.NODE_ENV = 'staging';
+
+    const res = await request(app).get(distancesUrl);
+
+    expect(res.status).toBe(500);
+    expect(res.body.detail).toBe(
+      'Something went very wrong. Please try again later'
+    );
+    expect(res.body.stack).toBeUndefined();
+  });
+
+  it('renders the error page for the website', async () => {
+    const res = await request(app).get('/no-such-page');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.text).toMatch(/Something went wrong!/);
+  });
+});
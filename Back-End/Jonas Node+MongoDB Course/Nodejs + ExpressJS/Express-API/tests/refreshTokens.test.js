@@ -0,0 +1,195 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const app = require('../index.js');
+const RefreshToken = require('../models/refreshTokenModel.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs, storeUsers } = require('./helpers/auth.js');
+const { userDoc } = require('./helpers/fixtures.js');
+
+const { ObjectId } = mongoose.Types;
+
+describe('refresh tokens & sessions', () => {
+  let db;
+  let user;
+
+  beforeEach(() => {
+    db = mockDb();
+    user = userDoc();
+    storeUsers(db, [user]);
+  });
+
+  //Refresh token as it is stored, the plain token is 'refresh-token'
+  const storedToken = (fields = {}) => ({
+    _id: new ObjectId(),
+    user: user._id,
+    tokenHash: RefreshToken.hashToken('refresh-token'),
+    family: 'family-1',
+    sessionStartedAt: new Date(Date.now() - 60 * 60 * 1000),
+    createdAt: new Date(Date.now() - 60 * 1000),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...fields
+  });
+
+  const refresh = () =>
+    request(app)
+      .post('/api/v1/users/refresh')
+      .send({ refreshToken: 'refresh-token' });
+
+  //Filters & updates of RefreshToken.revokeFamily
+  const revokedFamilies = () =>
+    db.RefreshToken.updateMany.mock.calls.map(([filter, update]) => [
+      filter.family,
+      update.$set.revokedReason
+    ]);
+
+  describe('POST /api/v1/users/refresh', () => {
+    it('rotates the token within the same family', async () => {
+      const tokenDoc = storedToken();
+      db.RefreshToken.findOne.mockReturnValue(tokenDoc);
+      db.RefreshToken.findOneAndUpdate.mockReturnValue({ value: tokenDoc });
+
+      const res = await refresh();
+
+      expect(res.status).toBe(200);
+      expect(res.body.refreshToken).not.toBe('refresh-token');
+      expect(jwt.decode(res.body.token)).toMatchObject({
+        id: `${user._id}`,
+        sid: 'family-1'
+      });
+
+      const [filter, update] = db.RefreshToken.findOneAndUpdate.mock.calls[0];
+      expect(`${filter._id}`).toBe(`${tokenDoc._id}`);
+      expect(filter.revokedAt).toEqual({ $exists: false });
+      expect(update.$set.revokedReason).toBe('rotated');
+
+      const [issued] = db.RefreshToken.insertOne.mock.calls[0];
+      expect(issued.family).toBe('family-1');
+      expect(issued.sessionStartedAt).toEqual(tokenDoc.sessionStartedAt);
+      expect(issued.tokenHash).toBe(
+        RefreshToken.hashToken(res.body.refreshToken)
+      );
+    });
+
+    it('revokes the whole family when a used token comes back', async () => {
+      db.RefreshToken.findOne.mockReturnValue(
+        storedToken({ revokedAt: new Date(), revokedReason: 'rotated' })
+      );
+
+      const res = await refresh();
+
+      expect(res.status).toBe(401);
+      expect(revokedFamilies()).toEqual([['family-1', 'reuse-detected']]);
+      expect(db.RefreshToken.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('lets only one of two requests with the same token rotate it', async () => {
+      db.RefreshToken.findOne.mockReturnValue(storedToken());
+      db.RefreshToken.findOneAndUpdate.mockReturnValue({ value: null });
+
+      const res = await refresh();
+
+      expect(res.status).toBe(401);
+      expect(revokedFamilies()).toEqual([['family-1', 'reuse-detected']]);
+    });
+
+    it('refuses an expired token', async () => {
+      db.RefreshToken.findOne.mockReturnValue(
+        storedToken({ expiresAt: new Date(Date.now() - 1000) })
+      );
+
+      const res = await refresh();
+
+      expect(res.status).toBe(401);
+      expect(res.body.detail).toMatch(/expired/);
+    });
+
+    it('ends the session once the password changed after it started', async () => {
+      user.passwordChangedAt = new Date();
+      db.RefreshToken.findOne.mockReturnValue(storedToken());
+
+      await refresh().expect(401);
+
+      expect(revokedFamilies()).toEqual([['family-1', 'invalid-user']]);
+    });
+
+    it('refuses an unknown or missing token', async () => {
+      await refresh().expect(401);
+      await request(app)
+        .post('/api/v1/users/refresh')
+        .expect(401);
+    });
+  });
+
+  describe('sessions', () => {
+    const sessionToken = sid =>
+      jwt.sign({ id: user._id, sid }, process.env.JWT_SECRET_KEY);
+
+    it('refuses the access token of a revoked session', async () => {
+      db.RefreshToken.countDocuments.mockReturnValue(0);
+
+      const res = await request(app)
+        .get('/api/v1/users/me')
+        .set('Authorization', `Bearer ${sessionToken('family-1')}`);
+
+      expect(res.status).toBe(401);
+      expect(db.RefreshToken.countDocuments.mock.calls[0][0]).toMatchObject({
+        family: 'family-1',
+        revokedAt: { $exists: false }
+      });
+    });
+
+    it('lists the active sessions & marks the current one', async () => {
+      db.RefreshToken.countDocuments.mockReturnValue(1);
+      db.RefreshToken.find.mockReturnValue([
+        storedToken({ userAgent: 'Firefox' }),
+        storedToken({ family: 'family-2', userAgent: 'Safari' })
+      ]);
+
+      const res = await request(app)
+        .get('/api/v1/users/sessions')
+        .set('Authorization', `Bearer ${sessionToken('family-1')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.sessions).toEqual([
+        expect.objectContaining({
+          id: 'family-1',
+          current: true,
+          userAgent: 'Firefox'
+        }),
+        expect.objectContaining({ id: 'family-2', current: false })
+      ]);
+      expect(`${db.RefreshToken.find.mock.calls[0][0].user}`).toBe(
+        `${user._id}`
+      );
+    });
+
+    it('revokes a session of the user', async () => {
+      db.RefreshToken.countDocuments.mockReturnValue(1);
+      db.RefreshToken.findOne.mockReturnValue(
+        storedToken({ family: 'family-2' })
+      );
+
+      await request(app)
+        .delete('/api/v1/users/sessions/family-2')
+        .set('Authorization', `Bearer ${sessionToken('family-1')}`)
+        .expect(204);
+
+      const [filter] = db.RefreshToken.findOne.mock.calls[0];
+      expect(`${filter.user}`).toBe(`${user._id}`);
+      expect(filter.family).toBe('family-2');
+      expect(revokedFamilies()).toEqual([['family-2', 'revoked-by-user']]);
+    });
+
+    it('sends 404 for a session of somebody else', async () => {
+      const { token } = loginAs(db);
+
+      await request(app)
+        .delete('/api/v1/users/sessions/family-2')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(db.RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
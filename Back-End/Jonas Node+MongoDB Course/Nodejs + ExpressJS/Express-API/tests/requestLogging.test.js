@@ -0,0 +1,114 @@
+const request = require('supertest');
+const app = require('../index.js');
+const logger = require('../utils/logger.js');
+const { redactUrl } = require('../utils/requestLogger.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+describe('request logging', () => {
+  let db;
+  //Public route which needs no login
+  const distancesUrl = '/api/v1/tours/distances/34.1,-118.1/unit/km';
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  describe('redactUrl', () => {
+    it('hides the tokens of the email links', () => {
+      expect(redactUrl('/api/v1/users/verifyEmail/abc123')).toBe(
+        '/api/v1/users/verifyEmail/[REDACTED]'
+      );
+      expect(redactUrl('/api/v1/users/resetPassword/abc123?x=1')).toBe(
+        '/api/v1/users/resetPassword/[REDACTED]?x=1'
+      );
+    });
+
+    it('hides only the secrets of the query', () => {
+      expect(
+        redactUrl('/api/v1/tours?token=abc&page=2&Password=pass1234&code=')
+      ).toBe(
+        '/api/v1/tours?token=[REDACTED]&page=2&Password=[REDACTED]&code=[REDACTED]'
+      );
+      expect(redactUrl('/api/v1/tours?page=2')).toBe('/api/v1/tours?page=2');
+    });
+  });
+
+  describe('X-Request-Id', () => {
+    it('keeps the id sent by the client', async () => {
+      const res = await request(app)
+        .get(distancesUrl)
+        .set('X-Request-Id', 'trace-42');
+
+      expect(res.headers['x-request-id']).toBe('trace-42');
+    });
+
+    it('makes a new id when none or an unsafe one is sent', async () => {
+      const none = await request(app).get(distancesUrl);
+      const unsafe = await request(app)
+        .get(distancesUrl)
+        .set('X-Request-Id', 'a b"c');
+
+      expect(none.headers['x-request-id']).toMatch(/^[0-9a-f]{32}$/);
+      expect(unsafe.headers['x-request-id']).toMatch(/^[0-9a-f]{32}$/);
+      expect(unsafe.headers['x-request-id']).not.toBe(
+        none.headers['x-request-id']
+      );
+    });
+  });
+
+  it('logs every request with its status, duration & user', async () => {
+    const info = jest.spyOn(logger, 'info');
+    const { user, token } = loginAs(db);
+
+    const res = await request(app)
+      .get('/api/v1/users/me?secret=abc')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Request-Id', 'trace-43');
+
+    expect(res.status).toBe(200);
+    expect(info).toHaveBeenCalledWith('request completed', {
+      requestId: 'trace-43',
+      method: 'GET',
+      url: '/api/v1/users/me?secret=[REDACTED]',
+      status: 200,
+      durationMs: expect.any(Number),
+      userId: `${user._id}`,
+      ip: expect.any(String)
+    });
+  });
+
+  describe('errors', () => {
+    it('logs the unexpected errors with the request id', async () => {
+      const error = jest.spyOn(logger, 'error');
+      db.Tour.aggregate.mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      const res = await request(app)
+        .get(distancesUrl)
+        .set('X-Request-Id', 'trace-44');
+
+      expect(res.status).toBe(500);
+      expect(res.body.requestId).toBe('trace-44');
+      expect(error).toHaveBeenCalledWith(
+        'unexpected error',
+        expect.objectContaining({
+          requestId: 'trace-44',
+          url: distancesUrl,
+          error: expect.objectContaining({ message: 'connection lost' })
+        })
+      );
+    });
+
+    it('does not log the operational errors', async () => {
+      const error = jest.spyOn(logger, 'error');
+
+      await request(app)
+        .get('/api/v1/no-such-route')
+        .expect(404);
+
+      expect(error).not.toHaveBeenCalled();
+    });
+  });
+});
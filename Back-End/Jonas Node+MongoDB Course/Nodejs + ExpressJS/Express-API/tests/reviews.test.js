@@ -0,0 +1,150 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+const { ObjectId } = mongoose.Types;
+
+describe('reviews', () => {
+  let db;
+  let tourId;
+
+  beforeEach(() => {
+    db = mockDb();
+    tourId = new ObjectId();
+  });
+
+  const storedReview = userId => ({
+    _id: new ObjectId(),
+    review: 'Great guides',
+    rating: 4,
+    tour: tourId,
+    user: userId
+  });
+
+  //Update sent to the tour by calcAverageRatings
+  const ratingUpdate = () => db.Tour.findOneAndUpdate.mock.calls[0][1].$set;
+
+  describe('POST /api/v1/tours/:tourId/reviews', () => {
+    it('creates the review for the tour of the url & the logged in user', async () => {
+      const { user, token } = loginAs(db);
+
+      const res = await request(app)
+        .post(`/api/v1/tours/${tourId}/reviews`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ review: 'Amazing trip', rating: 5 });
+
+      expect(res.status).toBe(201);
+      const [inserted] = db.Review.insertOne.mock.calls[0];
+      expect(inserted).toMatchObject({ review: 'Amazing trip', rating: 5 });
+      expect(`${inserted.tour}`).toBe(`${tourId}`);
+      expect(`${inserted.user}`).toBe(`${user._id}`);
+    });
+
+    it('recalculates the rating average & quantity of the tour', async () => {
+      const { token } = loginAs(db);
+      db.Review.aggregate.mockReturnValue([
+        { _id: tourId, nRating: 3, avgRating: 4.2 }
+      ]);
+
+      await request(app)
+        .post(`/api/v1/tours/${tourId}/reviews`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ review: 'Amazing trip', rating: 5 })
+        .expect(201);
+
+      const [pipeline] = db.Review.aggregate.mock.calls[0];
+      expect(`${pipeline[0].$match.tour}`).toBe(`${tourId}`);
+      expect(`${db.Tour.findOneAndUpdate.mock.calls[0][0]._id}`).toBe(
+        `${tourId}`
+      );
+      expect(ratingUpdate()).toEqual({ ratingQuantity: 3, ratingAverage: 4.2 });
+    });
+
+    it('only lets users write reviews', async () => {
+      const { token } = loginAs(db, { role: 'guide' });
+
+      const res = await request(app)
+        .post(`/api/v1/tours/${tourId}/reviews`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ review: 'Amazing trip', rating: 5 });
+
+      expect(res.status).toBe(403);
+      expect(db.Review.insertOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/v1/reviews/:id', () => {
+    it('lets the author change the review', async () => {
+      const { user, token } = loginAs(db);
+      const review = storedReview(user._id);
+      db.Review.findOne.mockReturnValue(review);
+      db.Review.findOneAndUpdate.mockReturnValue({
+        value: { ...review, rating: 5 }
+      });
+
+      const res = await request(app)
+        .patch(`/api/v1/reviews/${review._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rating: 5 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.review.rating).toBe(5);
+    });
+
+    it('refuses the reviews of other users', async () => {
+      const { token } = loginAs(db);
+      const review = storedReview(new ObjectId());
+      db.Review.findOne.mockReturnValue(review);
+
+      const res = await request(app)
+        .patch(`/api/v1/reviews/${review._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rating: 1 });
+
+      expect(res.status).toBe(403);
+      expect(db.Review.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('sends 404 for a missing review', async () => {
+      const { token } = loginAs(db);
+
+      const res = await request(app)
+        .patch(`/api/v1/reviews/${new ObjectId()}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rating: 1 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/v1/reviews/:id', () => {
+    it('lets admins delete any review & resets the rating of a tour without reviews', async () => {
+      const { token } = loginAs(db, { role: 'admin' });
+      const review = storedReview(new ObjectId());
+      db.Review.findOneAndDelete.mockReturnValue({ value: review });
+
+      const res = await request(app)
+        .delete(`/api/v1/reviews/${review._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(204);
+      expect(db.Review.findOne).not.toHaveBeenCalled();
+      expect(ratingUpdate()).toEqual({ ratingQuantity: 0, ratingAverage: 4.5 });
+    });
+
+    it('refuses the reviews of other users', async () => {
+      const { token } = loginAs(db);
+      const review = storedReview(new ObjectId());
+      db.Review.findOne.mockReturnValue(review);
+
+      const res = await request(app)
+        .delete(`/api/v1/reviews/${review._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+      expect(db.Review.findOneAndDelete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const app = require('../index.js');
+const Tour = require('../models/tourModel.js');
+const highlight = require('../utils/highlight.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+describe('tour search', () => {
+  let db;
+  let token;
+
+  beforeEach(() => {
+    db = mockDb();
+    ({ token } = loginAs(db));
+  });
+
+  const get = url =>
+    request(app)
+      .get(url)
+      .set('Authorization', `Bearer ${token}`);
+
+  describe('highlight', () => {
+    it('takes the words & phrases of the search, without the excluded ones', () => {
+      expect(highlight.searchTerms('forest "sea explorer" -snow')).toEqual([
+        'forest',
+        'sea explorer'
+      ]);
+    });
+
+    it('marks the matched words, other forms of them as well', () => {
+      expect(
+        highlight.snippet('Breathtaking hike through the forest', ['hiking'])
+      ).toBe('Breathtaking <mark>hike</mark> through the forest');
+      expect(highlight.snippet('A <b>forest</b> hike', ['forest'])).toBe(
+        'A &lt;b&gt;<mark>forest</mark>&lt;/b&gt; hike'
+      );
+      expect(highlight.snippet('A forest hike', ['snow'])).toBeUndefined();
+    });
+
+    it('cuts the long texts around the first match', () => {
+      const text = `${'word '.repeat(40)}forest ${'word '.repeat(40)}`.trim();
+
+      const snippet = highlight.snippet(text, ['forest'], 60);
+
+      expect(snippet).toMatch(
+        /^\.\.\.word .*<mark>forest<\/mark>.* word\.\.\.$/
+      );
+      expect(snippet.replace(/<\/?mark>/g, '').length).toBeLessThanOrEqual(66);
+    });
+  });
+
+  describe('GET /api/v1/tours/search', () => {
+    it('sends the tours ranked by relevance with the highlighted fields', async () => {
+      db.Tour.find.mockReturnValue([
+        tourDoc({ description: 'Snow adventures in the forest', score: 1.5 })
+      ]);
+
+      const res = await get('/api/v1/tours/search?q=forest&difficulty=easy');
+
+      expect(res.status).toBe(200);
+      const [filter, options] = db.Tour.find.mock.calls[0];
+      expect(filter).toMatchObject({
+        $text: { $search: 'forest' },
+        difficulty: 'easy'
+      });
+      expect(options.projection).toMatchObject({
+        score: { $meta: 'textScore' }
+      });
+      expect(options.sort).toEqual({ score: { $meta: 'textScore' } });
+      expect(res.body.data.tours[0].highlights).toEqual({
+        name: 'The <mark>Forest</mark> Hiker',
+        description: 'Snow adventures in the <mark>forest</mark>'
+      });
+    });
+
+    it('needs the words to search', async () => {
+      const res = await get('/api/v1/tours/search');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].field).toBe('q');
+    });
+  });
+
+  describe('GET /api/v1/tours/autocomplete', () => {
+    it('suggests the names starting with the words of the prefix', async () => {
+      db.Tour.find.mockReturnValue([
+        { _id: tourDoc()._id, name: 'The Sea Explorer', slug: 'sea' }
+      ]);
+
+      const res = await get('/api/v1/tours/autocomplete?prefix=Sea%20Ex.');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tours[0].name).toBe('The Sea Explorer');
+      const [filter, options] = db.Tour.find.mock.calls[0];
+      expect(filter.nameWords).toEqual({ $all: ['sea', /^ex/] });
+      expect(options.projection).toMatchObject({ name: 1, slug: 1 });
+      expect(options.sort).toEqual({ name: 1 });
+    });
+
+    it('indexes the words of the tour names', () => {
+      expect(Tour.nameWords('Forêt-Noire: 2 Days')).toEqual([
+        'forêt',
+        'noire',
+        '2',
+        'days'
+      ]);
+    });
+  });
+});
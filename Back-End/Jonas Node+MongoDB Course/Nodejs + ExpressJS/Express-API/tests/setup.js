@@ -0,0 +1,22 @@
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+//Environment of the tests, the database is replaced with the fake collections of helpers/db.js
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET_KEY = 'test-jwt-secret';
+process.env.JWT_EXPIRES_IN = '15m';
+process.env.JWT_COOKIE_EXPIRES_IN = '1';
+process.env.EMAIL_TRANSPORT = 'outbox';
+process.env.EMAIL_OUTBOX_DIR = path.join(os.tmpdir(), 'natours-test-outbox');
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+//No indexes are built & an operation on a collection which is not faked fails at once instead of waiting for a connection
+mongoose.set('autoIndex', false);
+mongoose.set('bufferCommands', false);
+
+//Request & error logs are checked through the spies when needed
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
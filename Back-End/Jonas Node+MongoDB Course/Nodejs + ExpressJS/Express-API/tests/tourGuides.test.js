@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc, userDoc } = require('./helpers/fixtures.js');
+
+describe('tour guides', () => {
+  let db;
+  let tour;
+  let guide;
+
+  beforeEach(() => {
+    db = mockDb();
+    guide = userDoc({ name: 'Miyah Myles', role: 'guide' });
+    tour = tourDoc();
+    db.Tour.findOne.mockImplementation(() => tour);
+  });
+
+  //Guides the tour is saved with
+  const savedGuides = () =>
+    db.Tour.updateOne.mock.calls[0][1].$set.guides.map(String);
+
+  const addGuides = (token, guides, tourId = tour._id) =>
+    request(app)
+      .post(`/api/v1/tours/${tourId}/guides`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ guides });
+
+  describe('POST /api/v1/tours/:id/guides', () => {
+    it('adds existing guides to the tour', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+      db.User.countDocuments.mockReturnValue(1);
+
+      const res = await addGuides(token, [`${guide._id}`]);
+
+      expect(res.status).toBe(200);
+      expect(`${db.Tour.updateOne.mock.calls[0][0]._id}`).toBe(`${tour._id}`);
+      expect(savedGuides()).toEqual([`${guide._id}`]);
+    });
+
+    it('counts each guide once when checking their roles', async () => {
+      const { token } = loginAs(db, { role: 'admin' });
+      db.User.countDocuments.mockReturnValue(1);
+
+      tour = tourDoc({ guides: [guide._id] });
+
+      await addGuides(token, [`${guide._id}`, `${guide._id}`]).expect(200);
+
+      const [filter] = db.User.countDocuments.mock.calls[0];
+      expect(filter._id.$in.map(String)).toEqual([`${guide._id}`]);
+      expect(filter.role).toEqual({ $in: ['guide', 'lead-guide'] });
+    });
+
+    it('refuses users who are not guides', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+      db.User.countDocuments.mockReturnValue(0);
+
+      const res = await addGuides(token, [`${userDoc()._id}`]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_FAILED');
+      expect(res.body.detail).toBe(
+        'Guides must be existing users with the role guide or lead-guide'
+      );
+      expect(db.Tour.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('sends 404 for a missing tour', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+      db.User.countDocuments.mockReturnValue(1);
+      const tourId = tour._id;
+      tour = null;
+
+      await addGuides(token, [`${guide._id}`], tourId).expect(404);
+    });
+
+    it('is only for the admins & lead guides', async () => {
+      const { token } = loginAs(db, { role: 'guide' });
+
+      await addGuides(token, [`${guide._id}`]).expect(403);
+    });
+  });
+
+  describe('DELETE /api/v1/tours/:id/guides', () => {
+    it('takes the guides out of the tour without checking their roles', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+      const otherGuide = userDoc({ role: 'guide' });
+      tour = tourDoc({ guides: [guide._id, otherGuide._id] });
+
+      const res = await request(app)
+        .delete(`/api/v1/tours/${tour._id}/guides`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ guides: [`${guide._id}`] });
+
+      expect(res.status).toBe(200);
+      expect(savedGuides()).toEqual([`${otherGuide._id}`]);
+      expect(db.User.countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/v1/tours/:id/guides', () => {
+    it('sends the guides populated with their name, photo & role', async () => {
+      const { token } = loginAs(db);
+      tour = tourDoc({ guides: [guide._id] });
+      db.User.find.mockReturnValue([guide]);
+
+      const res = await request(app)
+        .get(`/api/v1/tours/${tour._id}/guides`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.guides).toEqual([
+        expect.objectContaining({ name: 'Miyah Myles', role: 'guide' })
+      ]);
+      const [filter, options] = db.User.find.mock.calls[0];
+      expect(filter._id.$in.map(String)).toEqual([`${guide._id}`]);
+      expect(options.projection).toEqual({ name: 1, photo: 1, role: 1 });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+//Resizing is checked through the calls, nothing is written by sharp
+jest.mock('sharp');
+
+const tourImageDir = path.join(__dirname, '../public/img/tours');
+
+describe('PATCH /api/v1/tours/:id with images', () => {
+  let db;
+  let token;
+  let tour;
+  //Every sharp pipeline: { resize, toFile }
+  let pipelines;
+  const oldImages = ['tour-test-cover.jpeg', 'tour-test-1.jpeg'];
+  const oldFiles = oldImages.map(file => path.join(tourImageDir, file));
+
+  beforeEach(() => {
+    db = mockDb();
+    ({ token } = loginAs(db, { role: 'lead-guide' }));
+    tour = tourDoc({ imageCover: oldImages[0], images: [oldImages[1]] });
+    db.Tour.findOne.mockImplementation(() => tour);
+    db.Tour.findOneAndUpdate.mockImplementation((filter, update) => ({
+      value: { ...tour, ...update.$set }
+    }));
+    pipelines = [];
+    sharp.mockImplementation(() => {
+      const pipeline = {
+        resize: jest.fn(() => pipeline),
+        toFormat: jest.fn(() => pipeline),
+        jpeg: jest.fn(() => pipeline),
+        toFile: jest.fn(() => Promise.resolve())
+      };
+      pipelines.push(pipeline);
+      return pipeline;
+    });
+    oldFiles.forEach(file => fs.writeFileSync(file, ''));
+  });
+
+  afterEach(() => {
+    oldFiles.filter(fs.existsSync).forEach(file => fs.unlinkSync(file));
+  });
+
+  const image = name => [
+    Buffer.from(name),
+    { filename: `${name}.png`, contentType: 'image/png' }
+  ];
+
+  const patchTour = (id = tour._id) =>
+    request(app)
+      .patch(`/api/v1/tours/${id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  it('saves the cover & the gallery as 2000x1333 jpegs & removes the replaced images', async () => {
+    const res = await patchTour()
+      .attach('imageCover', ...image('cover'))
+      .attach('images', ...image('first'))
+      .attach('images', ...image('second'));
+
+    expect(res.status).toBe(200);
+    const { $set } = db.Tour.findOneAndUpdate.mock.calls[0][1];
+    const { imageCover } = $set;
+    const images = [...$set.images];
+    expect(imageCover).toMatch(
+      new RegExp(`^tour-${tour._id}-\\d+-cover\\.jpeg$`)
+    );
+    expect(images).toEqual([
+      expect.stringMatching(new RegExp(`^tour-${tour._id}-\\d+-1\\.jpeg$`)),
+      expect.stringMatching(new RegExp(`^tour-${tour._id}-\\d+-2\\.jpeg$`))
+    ]);
+    expect(pipelines).toHaveLength(3);
+    pipelines.forEach(pipeline =>
+      expect(pipeline.resize).toHaveBeenCalledWith(2000, 1333)
+    );
+    expect(pipelines.map(el => el.toFile.mock.calls[0][0])).toEqual(
+      [imageCover, ...images].map(file => path.join(tourImageDir, file))
+    );
+    expect(oldFiles.filter(fs.existsSync)).toEqual([]);
+  });
+
+  it('keeps the gallery when only the cover is replaced', async () => {
+    await patchTour()
+      .attach('imageCover', ...image('cover'))
+      .expect(200);
+
+    expect(db.Tour.findOneAndUpdate.mock.calls[0][1].$set.images).toBe(
+      undefined
+    );
+    expect(oldFiles.filter(fs.existsSync)).toEqual([oldFiles[1]]);
+  });
+
+  it('sends 404 without writing anything for a missing tour', async () => {
+    tour = null;
+
+    await patchTour(tourDoc()._id)
+      .attach('imageCover', ...image('cover'))
+      .expect(404);
+
+    expect(pipelines).toEqual([]);
+  });
+
+  it('never deletes a stored image name which points outside the images folder', async () => {
+    const outsideFile = path.join(tourImageDir, '../tour-test-outside.jpeg');
+    fs.writeFileSync(outsideFile, '');
+    tour.imageCover = '../tour-test-outside.jpeg';
+
+    try {
+      await patchTour()
+        .attach('imageCover', ...image('cover'))
+        .expect(200);
+
+      expect(fs.existsSync(outsideFile)).toBe(true);
+    } finally {
+      fs.unlinkSync(outsideFile);
+    }
+  });
+
+  it('refuses image names with a folder in the body', async () => {
+    const res = await patchTour().send({
+      imageCover: '../../index.js',
+      images: ['tour-1-1.jpg', 'img/tour-1-2.jpg']
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(el => el.field)).toEqual([
+      'imageCover',
+      'images.1'
+    ]);
+    expect(db.Tour.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('is only for the admins & lead guides', async () => {
+    ({ token } = loginAs(db));
+
+    await patchTour()
+      .attach('imageCover', ...image('cover'))
+      .expect(403);
+
+    expect(pipelines).toEqual([]);
+    expect(oldFiles.filter(fs.existsSync)).toEqual(oldFiles);
+  });
+
+  it('takes at most 3 gallery images', async () => {
+    const res = await patchTour()
+      .attach('images', ...image('1'))
+      .attach('images', ...image('2'))
+      .attach('images', ...image('3'))
+      .attach('images', ...image('4'));
+
+    expect(res.status).toBe(400);
+    expect(pipelines).toEqual([]);
+    expect(oldFiles.filter(fs.existsSync)).toEqual(oldFiles);
+  });
+});
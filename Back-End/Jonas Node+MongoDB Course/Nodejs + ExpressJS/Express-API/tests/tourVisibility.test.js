@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+describe('hidden tours', () => {
+  let db;
+  const pastDate = new Date('2020-06-19T09:00:00.000Z');
+  const futureDate = new Date('2099-06-19T09:00:00.000Z');
+
+  //Conditions added by the query middleware for the public listings
+  const visibleConditions = [
+    { secretTour: { $ne: true } },
+    { $or: [{ publishAt: null }, { publishAt: { $lte: expect.any(Date) } }] },
+    { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: expect.any(Date) } }] }
+  ];
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  const getTours = (token, query = '') =>
+    request(app)
+      .get(`/api/v1/tours${query}`)
+      .set('Authorization', `Bearer ${token}`);
+
+  describe('GET /api/v1/tours', () => {
+    beforeEach(() => {
+      db.Tour.find.mockReturnValue([
+        tourDoc({ startDates: [pastDate, futureDate] })
+      ]);
+    });
+
+    it('lists only the visible tours with their coming start dates', async () => {
+      const { token } = loginAs(db);
+
+      const res = await getTours(token);
+
+      expect(res.status).toBe(200);
+      expect(db.Tour.find.mock.calls[0][0].$and).toEqual(visibleConditions);
+      expect(res.body.data.tours[0].startDates).toEqual([
+        futureDate.toISOString()
+      ]);
+    });
+
+    it('lists the hidden tours & the past start dates for admins & lead guides', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+
+      const res = await getTours(token, '?includeHidden=true');
+
+      expect(res.status).toBe(200);
+      expect(db.Tour.find.mock.calls[0][0].$and).toBeUndefined();
+      expect(res.body.data.tours[0].startDates).toEqual([
+        pastDate.toISOString(),
+        futureDate.toISOString()
+      ]);
+    });
+
+    it('refuses ?includeHidden=true to the users', async () => {
+      const { token } = loginAs(db);
+
+      const res = await getTours(token, '?includeHidden=true');
+
+      expect(res.status).toBe(403);
+      expect(db.Tour.find).not.toHaveBeenCalled();
+    });
+  });
+
+  it('leaves the hidden tours out of the aggregations, after $geoNear', async () => {
+    await request(app)
+      .get('/api/v1/tours/distances/34.1,-118.1/unit/km')
+      .expect(200);
+
+    const [pipeline] = db.Tour.aggregate.mock.calls[0];
+    expect(pipeline[0].$geoNear).toBeDefined();
+    expect(pipeline[1]).toEqual({ $match: { $and: visibleConditions } });
+  });
+
+  describe('PATCH /api/v1/tours/:id/visibility', () => {
+    let tour;
+
+    beforeEach(() => {
+      tour = tourDoc({ publishAt: futureDate });
+      db.Tour.findOne.mockReturnValue(tour);
+      db.Tour.findOneAndUpdate.mockImplementation((filter, update) => ({
+        value: { ...tour, ...update.$set }
+      }));
+    });
+
+    const changeVisibility = (token, body) =>
+      request(app)
+        .patch(`/api/v1/tours/${tour._id}/visibility`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    it('hides or schedules a hidden tour as well', async () => {
+      const { token } = loginAs(db, { role: 'admin' });
+      const unpublishAt = new Date('2100-01-01T00:00:00.000Z');
+
+      const res = await changeVisibility(token, {
+        secretTour: true,
+        unpublishAt: unpublishAt.toISOString()
+      });
+
+      expect(res.status).toBe(200);
+      const [filter, update] = db.Tour.findOneAndUpdate.mock.calls[0];
+      expect(filter.$and).toBeUndefined();
+      expect(update.$set).toMatchObject({ secretTour: true, unpublishAt });
+    });
+
+    it('refuses an unpublishAt before the stored publishAt', async () => {
+      const { token } = loginAs(db, { role: 'admin' });
+
+      const res = await changeVisibility(token, {
+        unpublishAt: '2098-01-01T00:00:00.000Z'
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        {
+          field: 'unpublishAt',
+          message: expect.stringMatching(/should be after publishAt$/)
+        }
+      ]);
+      expect(db.Tour.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('is only for the admins & lead guides', async () => {
+      const { token } = loginAs(db);
+
+      await changeVisibility(token, { secretTour: false }).expect(403);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs, storeUsers } = require('./helpers/auth.js');
+const { userDoc, passwordHash } = require('./helpers/fixtures.js');
+
+const hash = code =>
+  crypto
+    .createHash('sha256')
+    .update(code)
+    .digest('hex');
+
+describe('two factor authentication', () => {
+  let db;
+  let user;
+  const secret = authenticator.generateSecret();
+
+  beforeEach(() => {
+    db = mockDb();
+    user = userDoc({
+      email: 'leo@example.com',
+      password: passwordHash,
+      role: 'admin',
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorRecoveryCodes: [hash('recovery01'), hash('recovery02')]
+    });
+    storeUsers(db, [user]);
+  });
+
+  const challengeToken = () =>
+    jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET_KEY);
+
+  const loginTwoFactor = body =>
+    request(app)
+      .post('/api/v1/users/login/2fa')
+      .send({ twoFactorToken: challengeToken(), ...body });
+
+  //Fields of the user saved by the handler
+  const savedUser = () => db.User.updateOne.mock.calls[0][1];
+
+  describe('login', () => {
+    it('asks for the second step instead of sending the tokens', async () => {
+      db.User.findOne.mockReturnValue(user);
+
+      const res = await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'leo@example.com', password: 'pass1234' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.twoFactorRequired).toBe(true);
+      expect(res.body.token).toBeUndefined();
+      expect(res.headers['set-cookie']).toBeUndefined();
+      expect(jwt.decode(res.body.twoFactorToken)).toMatchObject({
+        id: `${user._id}`,
+        purpose: '2fa'
+      });
+      expect(db.RefreshToken.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('does not let the token of the first step into the api', async () => {
+      const res = await request(app)
+        .get('/api/v1/users/me')
+        .set('Authorization', `Bearer ${challengeToken()}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('sends the tokens for the code of the app & saves its step', async () => {
+      const res = await loginTwoFactor({
+        code: authenticator.generate(secret)
+      });
+
+      expect(res.status).toBe(200);
+      expect(jwt.decode(res.body.token).id).toBe(`${user._id}`);
+      expect(savedUser().$set.twoFactorLastStep).toBe(
+        Math.floor(Date.now() / 1000 / 30)
+      );
+      expect(db.LoginAttempt.deleteOne.mock.calls[0][0]).toEqual({
+        key: `2fa:${user._id}`
+      });
+    });
+
+    it('does not take the same code twice', async () => {
+      user.twoFactorLastStep = Math.floor(Date.now() / 1000 / 30);
+      db.LoginAttempt.findOneAndUpdate.mockReturnValue({
+        value: { _id: user._id, key: `2fa:${user._id}`, failures: 1 }
+      });
+
+      const res = await loginTwoFactor({
+        code: authenticator.generate(secret)
+      });
+
+      expect(res.status).toBe(401);
+      expect(db.LoginAttempt.findOneAndUpdate.mock.calls[0][0]).toEqual({
+        key: `2fa:${user._id}`
+      });
+    });
+
+    it('uses up a recovery code', async () => {
+      const res = await loginTwoFactor({ recoveryCode: ' RECOVERY02 ' });
+
+      expect(res.status).toBe(200);
+      expect(savedUser().$set.twoFactorRecoveryCodes).toEqual([
+        hash('recovery01')
+      ]);
+    });
+
+    it('asks for the second step after a password reset as well', async () => {
+      db.User.findOne.mockReturnValue(user);
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      const res = await request(app)
+        .patch(`/api/v1/users/resetPassword/${resetToken}`)
+        .send({ password: 'newpass1234', passConfirm: 'newpass1234' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.twoFactorRequired).toBe(true);
+      expect(res.body.token).toBeUndefined();
+      expect(db.User.findOne.mock.calls[0][0].passwordResetToken).toBe(
+        hash(resetToken)
+      );
+    });
+  });
+
+  describe('enrollment', () => {
+    it('keeps the new secret as temp till the first code confirms it', async () => {
+      const { user: newUser, token } = loginAs(db, { role: 'lead-guide' });
+
+      const setup = await request(app)
+        .post('/api/v1/users/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(setup.status).toBe(200);
+      const { secret: newSecret, otpauthURL } = setup.body.data;
+      expect(otpauthURL).toMatch(/^otpauth:\/\/totp\/Natours:/);
+      expect(otpauthURL).toContain(`secret=${newSecret}`);
+      expect(savedUser().$set).toMatchObject({
+        twoFactorTempSecret: newSecret
+      });
+      expect(savedUser().$set.twoFactorSecret).toBeUndefined();
+
+      newUser.twoFactorTempSecret = newSecret;
+      db.User.updateOne.mockClear();
+      const enable = await request(app)
+        .post('/api/v1/users/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: authenticator.generate(newSecret) });
+
+      expect(enable.status).toBe(200);
+      const { recoveryCodes } = enable.body.data;
+      expect(recoveryCodes).toHaveLength(10);
+      expect(savedUser().$set).toMatchObject({
+        twoFactorEnabled: true,
+        twoFactorSecret: newSecret,
+        twoFactorRecoveryCodes: recoveryCodes.map(hash)
+      });
+      expect(savedUser().$unset).toMatchObject({ twoFactorTempSecret: 1 });
+    });
+
+    it('refuses a wrong first code', async () => {
+      const { token } = loginAs(db, {
+        twoFactorTempSecret: authenticator.generateSecret()
+      });
+
+      await request(app)
+        .post('/api/v1/users/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(401);
+
+      expect(db.User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('TWO_FACTOR_REQUIRED_ROLES', () => {
+    beforeEach(() => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin, lead-guide';
+    });
+
+    afterEach(() => {
+      delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+    });
+
+    it('keeps the roles out of the api till they enable it, except for the setup', async () => {
+      const { token } = loginAs(db, { role: 'lead-guide' });
+
+      const res = await request(app)
+        .get('/api/v1/users/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.detail).toMatch(/requires two factor authentication/);
+      await request(app)
+        .post('/api/v1/users/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+
+    it('does not let the roles disable it', async () => {
+      const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET_KEY);
+
+      await request(app)
+        .post('/api/v1/users/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'pass1234', code: authenticator.generate(secret) })
+        .expect(403);
+
+      expect(db.User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../index.js');
+const Email = require('../utils/emailSender.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+//Resizing is checked through the calls, nothing is written by sharp
+jest.mock('sharp');
+
+const photoDir = path.join(__dirname, '../public/img/users');
+
+describe('PATCH /api/v1/users/updateMe', () => {
+  let db;
+  //Every sharp pipeline: { resize, toFile }
+  let pipelines;
+
+  beforeEach(() => {
+    db = mockDb();
+    pipelines = [];
+    sharp.mockImplementation(() => {
+      const pipeline = {
+        resize: jest.fn(() => pipeline),
+        toFormat: jest.fn(() => pipeline),
+        jpeg: jest.fn(() => pipeline),
+        toFile: jest.fn(() => Promise.resolve())
+      };
+      pipelines.push(pipeline);
+      return pipeline;
+    });
+    jest.spyOn(Email.prototype, 'sendEmailVerification').mockResolvedValue();
+  });
+
+  //findByIdAndUpdate sends back the user with the update applied
+  const updatedWith = user =>
+    db.User.findOneAndUpdate.mockImplementation((filter, update) => ({
+      value: { ...user, ...update.$set }
+    }));
+
+  const updateMe = token =>
+    request(app)
+      .patch('/api/v1/users/updateMe')
+      .set('Authorization', `Bearer ${token}`);
+
+  it('updates only the name & the email', async () => {
+    const { user, token } = loginAs(db);
+    updatedWith(user);
+
+    const res = await updateMe(token).send({
+      name: 'Aarav Lynn',
+      role: 'admin'
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.name).toBe('Aarav Lynn');
+    const [filter, update] = db.User.findOneAndUpdate.mock.calls[0];
+    expect(`${filter._id}`).toBe(`${user._id}`);
+    expect(update.$set).toEqual({ name: 'Aarav Lynn' });
+  });
+
+  it('sends the password updates to /updatePassword', async () => {
+    const { token } = loginAs(db);
+
+    const res = await updateMe(token).send({ password: 'pass1234' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.detail).toMatch(/\/updatePassword/);
+    expect(db.User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('asks to verify a new email address', async () => {
+    const { user, token } = loginAs(db);
+    updatedWith(user);
+
+    const res = await updateMe(token).send({ email: 'new@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(db.User.findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+      email: 'new@example.com',
+      emailVerified: false
+    });
+    expect(Email.prototype.sendEmailVerification).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the verification of an unchanged email', async () => {
+    const { user, token } = loginAs(db);
+    updatedWith(user);
+
+    await updateMe(token)
+      .send({ email: 'Test.User@example.com' })
+      .expect(200);
+
+    expect(
+      db.User.findOneAndUpdate.mock.calls[0][1].$set.emailVerified
+    ).toBeUndefined();
+    expect(Email.prototype.sendEmailVerification).not.toHaveBeenCalled();
+  });
+
+  describe('photo', () => {
+    const oldPhoto = 'user-test-1.jpeg';
+    const oldFiles = [oldPhoto, 'user-test-1-thumb.jpeg'].map(file =>
+      path.join(photoDir, file)
+    );
+
+    beforeEach(() => {
+      oldFiles.forEach(file => fs.writeFileSync(file, ''));
+    });
+
+    afterEach(() => {
+      oldFiles.filter(fs.existsSync).forEach(file => fs.unlinkSync(file));
+    });
+
+    it('saves the 500px & the thumbnail sizes & removes the old photo', async () => {
+      const { user, token } = loginAs(db, { photo: oldPhoto });
+      updatedWith(user);
+
+      const res = await updateMe(token).attach('photo', Buffer.from('image'), {
+        filename: 'me.png',
+        contentType: 'image/png'
+      });
+
+      expect(res.status).toBe(200);
+      const { photo } = db.User.findOneAndUpdate.mock.calls[0][1].$set;
+      expect(photo).toMatch(new RegExp(`^user-${user._id}-\\d+\\.jpeg$`));
+      expect(pipelines.map(el => el.resize.mock.calls[0])).toEqual([
+        [500, 500],
+        [100, 100]
+      ]);
+      expect(pipelines.map(el => el.toFile.mock.calls[0][0])).toEqual([
+        path.join(photoDir, photo),
+        path.join(photoDir, photo.replace('.jpeg', '-thumb.jpeg'))
+      ]);
+      expect(oldFiles.filter(fs.existsSync)).toEqual([]);
+    });
+
+    it('never removes the default photo', async () => {
+      const { user, token } = loginAs(db, { photo: 'default.jpg' });
+      updatedWith(user);
+
+      await updateMe(token)
+        .attach('photo', Buffer.from('image'), {
+          filename: 'me.png',
+          contentType: 'image/png'
+        })
+        .expect(200);
+
+      expect(fs.existsSync(path.join(photoDir, 'default.jpg'))).toBe(true);
+    });
+
+    it('refuses files which are not images', async () => {
+      const { token } = loginAs(db);
+
+      const res = await updateMe(token).attach('photo', Buffer.from('text'), {
+        filename: 'notes.txt',
+        contentType: 'text/plain'
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.detail).toBe('Please upload an image');
+      expect(pipelines).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+
+describe('request validation', () => {
+  let db;
+  let token;
+
+  beforeEach(() => {
+    db = mockDb();
+    ({ token } = loginAs(db, { role: 'admin' }));
+  });
+
+  const newTour = (fields = {}) => ({
+    name: 'The Sea Explorer',
+    duration: 7,
+    maxGroupSize: 15,
+    difficulty: 'medium',
+    price: 497,
+    summary: 'Exploring the jaw-dropping US east coast by foot and by boat',
+    imageCover: 'tour-2-cover.jpg',
+    ...fields
+  });
+
+  const addTour = body =>
+    request(app)
+      .post('/api/v1/tours')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+  it('removes the fields managed by the server before saving', async () => {
+    await addTour(
+      newTour({
+        ratingAverage: 5,
+        secretTour: true,
+        createdAt: '2020-01-01'
+      })
+    ).expect(201);
+
+    const [tour] = db.Tour.insertOne.mock.calls[0];
+    expect(tour.name).toBe('The Sea Explorer');
+    expect(tour.ratingAverage).not.toBe(5);
+    expect(tour.secretTour).not.toBe(true);
+    expect(tour.createdAt).not.toEqual(new Date('2020-01-01'));
+  });
+
+  it('sends all the field errors at once', async () => {
+    const res = await addTour(
+      newTour({
+        name: undefined,
+        difficulty: 'extreme',
+        price: 'cheap',
+        guides: ['not-an-id']
+      })
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_FAILED');
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([
+        { in: 'body', field: 'name', message: 'name is required' },
+        {
+          in: 'body',
+          field: 'difficulty',
+          message: 'difficulty must be one of: easy, medium, difficult'
+        },
+        { in: 'body', field: 'price', message: 'price must be number' },
+        {
+          in: 'body',
+          field: 'guides.0',
+          message: 'guides.0 must be a valid objectId'
+        }
+      ])
+    );
+    expect(res.body.errors).toHaveLength(4);
+    expect(db.Tour.insertOne).not.toHaveBeenCalled();
+  });
+
+  it('checks the params of the route', async () => {
+    const res = await request(app)
+      .get('/api/v1/tours/not-an-id')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { in: 'params', field: 'id', message: 'id must be a valid objectId' }
+    ]);
+    expect(db.Tour.findOne).not.toHaveBeenCalled();
+  });
+
+  it('converts the params to the types of the schema', async () => {
+    const res = await request(app)
+      .get('/api/v1/tours/monthly-plan/year-2021')
+      .set('Authorization', `Bearer ${token}`);
+    const ok = await request(app)
+      .get('/api/v1/tours/monthly-plan/2021')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ in: 'params', field: 'year' });
+    expect(ok.status).toBe(200);
+  });
+});
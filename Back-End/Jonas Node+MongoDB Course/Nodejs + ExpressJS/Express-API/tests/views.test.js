@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+describe('rendered pages', () => {
+  let db;
+
+  beforeEach(() => {
+    db = mockDb();
+  });
+
+  it('renders a card for every tour on the overview', async () => {
+    db.Tour.find.mockReturnValue([
+      tourDoc(),
+      tourDoc({ name: 'The Sea Explorer', slug: 'the-sea-explorer' })
+    ]);
+
+    const res = await request(app).get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/html/);
+    expect(res.text).toContain('The Forest Hiker');
+    expect(res.text).toContain('href="/tour/the-sea-explorer"');
+  });
+
+  it('finds the tour page by the slug', async () => {
+    db.Tour.findOne.mockReturnValue(tourDoc());
+
+    const res = await request(app).get('/tour/the-forest-hiker');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain(
+      '<title>Natours | The Forest Hiker Tour</title>'
+    );
+    expect(db.Tour.findOne.mock.calls[0][0].slug).toBe('the-forest-hiker');
+  });
+
+  it('still shows the reviews of a deleted or deactivated user', async () => {
+    const tour = tourDoc();
+    db.Tour.findOne.mockReturnValue(tour);
+    //The user of the review is not found while populating
+    db.Review.find.mockReturnValue([
+      {
+        _id: tourDoc()._id,
+        review: 'Loved every minute of it',
+        rating: 5,
+        tour: tour._id,
+        user: tourDoc()._id
+      }
+    ]);
+
+    const res = await request(app).get('/tour/the-forest-hiker');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('Loved every minute of it');
+    expect(res.text).toContain(
+      '<h6 class="reviews__user">Former traveller</h6>'
+    );
+    expect(res.text).toContain('src="/img/users/default.jpg"');
+  });
+
+  it('renders the error page for a missing tour', async () => {
+    const res = await request(app).get('/tour/no-such-tour');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/html/);
+    expect(res.text).toContain('There is no tour with that name');
+  });
+
+  it('renders the login form', async () => {
+    const res = await request(app).get('/login');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('action="/api/v1/users/login"');
+  });
+
+  describe('/me', () => {
+    it('renders the account of the user logged in with the cookie', async () => {
+      const { token } = loginAs(db, { name: 'Lourdes Browning' });
+
+      const res = await request(app)
+        .get('/me')
+        .set('Cookie', `jwt_cookie=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toContain('Lourdes Browning');
+    });
+
+    it('renders the error page when nobody is logged in', async () => {
+      const res = await request(app).get('/me');
+
+      expect(res.status).toBe(401);
+      expect(res.headers['content-type']).toMatch(/html/);
+      expect(res.text).toContain('not logged in');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../index.js');
+const mockDb = require('./helpers/db.js');
+const { loginAs } = require('./helpers/auth.js');
+const { tourDoc } = require('./helpers/fixtures.js');
+
+describe('wishlist', () => {
+  let db;
+  let user;
+  let token;
+  let tour;
+
+  beforeEach(() => {
+    db = mockDb();
+    ({ user, token } = loginAs(db));
+    tour = tourDoc();
+  });
+
+  //Stored wishlist item of the user
+  const item = (fields = {}) => ({
+    _id: tourDoc()._id,
+    user: user._id,
+    tour: tour._id,
+    createdAt: new Date('2027-01-10T09:00:00.000Z'),
+    ...fields
+  });
+
+  const wishlist = method =>
+    request(app)
+      [method]('/api/v1/users/me/wishlist')
+      .set('Authorization', `Bearer ${token}`);
+
+  describe('POST /api/v1/users/me/wishlist', () => {
+    beforeEach(() => {
+      db.Tour.findOne.mockReturnValue(tour);
+    });
+
+    it('adds a tour once to the wishlist of the user', async () => {
+      db.Wishlist.findOneAndUpdate.mockReturnValue({
+        value: item(),
+        lastErrorObject: { n: 1, updatedExisting: false }
+      });
+
+      const res = await wishlist('post').send({ tour: `${tour._id}` });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.wishlist.tour).toBe(`${tour._id}`);
+      const { calls } = db.Wishlist.findOneAndUpdate.mock;
+      const [filter, update, options] = calls[0];
+      expect(`${filter.user}`).toBe(`${user._id}`);
+      expect(`${filter.tour}`).toBe(`${tour._id}`);
+      expect(update.$setOnInsert.createdAt).toEqual(expect.any(Date));
+      expect(options.upsert).toBe(true);
+    });
+
+    it('keeps a tour which is already in the wishlist', async () => {
+      db.Wishlist.findOneAndUpdate.mockReturnValue({
+        value: item(),
+        lastErrorObject: { n: 1, updatedExisting: true }
+      });
+
+      const res = await wishlist('post').send({ tour: `${tour._id}` });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.wishlist.addedAt).toBe('2027-01-10T09:00:00.000Z');
+    });
+
+    it('refuses a missing or hidden tour', async () => {
+      db.Tour.findOne.mockReturnValue(null);
+
+      await wishlist('post')
+        .send({ tour: `${tour._id}` })
+        .expect(404);
+
+      expect(db.Wishlist.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  it('removes a tour from the wishlist, 404 if it is not in it', async () => {
+    db.Wishlist.findOneAndDelete.mockReturnValueOnce({ value: item() });
+
+    await wishlist('delete')
+      .send({ tour: `${tour._id}` })
+      .expect(204);
+    await wishlist('delete')
+      .send({ tour: `${tour._id}` })
+      .expect(404);
+  });
+
+  it('lists the tours of the wishlist without the hidden ones', async () => {
+    const hidden = tourDoc();
+    db.Wishlist.find.mockReturnValue([
+      item(),
+      item({ _id: hidden._id, tour: hidden._id })
+    ]);
+    //Hidden tours are not found while populating
+    db.Tour.find.mockReturnValue([tour]);
+
+    const res = await wishlist('get');
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toBe(1);
+    expect(res.body.data.wishlist[0].tour.name).toBe(tour.name);
+  });
+
+  it('flags the favourite tours of the user in the tour listings', async () => {
+    const other = tourDoc({ name: 'The Sea Explorer' });
+    db.Tour.find.mockReturnValue([tour, other]);
+    db.Wishlist.find.mockReturnValue([item()]);
+
+    const res = await request(app)
+      .get('/api/v1/tours')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tours.map(el => el.isFavourite)).toEqual([
+      true,
+      false
+    ]);
+    const [filter] = db.Wishlist.find.mock.calls[0];
+    expect(`${filter.user}`).toBe(`${user._id}`);
+  });
+
+  it('ranks the most wishlisted tours in the tour stats', async () => {
+    ({ token } = loginAs(db, { role: 'admin' }));
+    db.Wishlist.aggregate.mockReturnValue([
+      { tour: tour._id, name: tour.name, numWishlisted: 3 }
+    ]);
+
+    const res = await request(app)
+      .get(
+        '/api/v1/tours/tours-stats?ranking=mostWishlisted&price[gte]=300&limit=5'
+      )
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mostWishlisted).toEqual([
+      { rank: 1, tour: `${tour._id}`, name: tour.name, numWishlisted: 3 }
+    ]);
+    const [pipeline] = db.Wishlist.aggregate.mock.calls[0];
+    expect(pipeline).toContainEqual({
+      $match: {
+        'tourDoc.0': { $exists: true },
+        'tourDoc.price': { $gte: 300 }
+      }
+    });
+    expect(pipeline).toContainEqual({ $limit: 5 });
+  });
+});
@@ -1,8 +1,10 @@
 class appError extends Error {
-	constructor(message, statusCode) {
+	//code is the stable error code sent to the clients (eg. 'DUPLICATE_KEY'), if not given it is taken from the status code
+	constructor(message, statusCode, code) {
 		super(message);
 		this.statusCode = statusCode;
 		this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+		this.code = code;
 		this.isOperational = true;
 
 		Error.captureStackTrace(this, this.constructor);
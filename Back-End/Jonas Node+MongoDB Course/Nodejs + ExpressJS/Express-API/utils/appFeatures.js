@@ -1,3 +1,20 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError.js');
+
+//Operators which can be used in the query string eg: ?price[lte]=1000
+const operators = ['gte', 'gt', 'lte', 'lt', 'ne', 'in'];
+
+//?page & ?limit are whole numbers from 1, else mongo gets a negative (or fractional) skip or limit & fails with a 500
+const pageParam = (queryString, name, defaultValue) => {
+  if (queryString[name] === undefined) return defaultValue;
+
+  const value = queryString[name] * 1;
+  if (!Number.isInteger(value) || value < 1) {
+    throw new AppError(`${name} should be a whole number of at least 1`, 400);
+  }
+  return value;
+};
+
 //=============== Class ================
 class APIfeatures {
   constructor(query, queryString) {
@@ -5,52 +22,184 @@ class APIfeatures {
     this.queryString = queryString;
   }
 
-  filter() {
+  //allowedFields is the whitelist of fields of the model which can be filtered upon
+  filter(allowedFields = []) {
     const queryObj = { ...this.queryString };
-    const excludedFields = ['page', 'limit', 'sort', 'fields'];
+    const excludedFields = ['page', 'limit', 'sort', 'fields', 'after'];
 
     //Now we will loop over the excludedFields and remove the element from queryObject if it's present
     excludedFields.forEach(el => {
       delete queryObj[el];
     });
 
-    //we get req.query as original and then we remove the fields added in excluded and get new object as queryObj which we use for quering
-    console.log(this.queryString, queryObj); //Used for filetering in tours
+    //Unknown fields are rejected instead of being passed to mongo as it is
+    const unknownFields = Object.keys(queryObj).filter(
+      el => !allowedFields.includes(el)
+    );
+    if (unknownFields.length > 0) {
+      const unknown = unknownFields.join(', ');
+      const allowed = allowedFields.join(', ');
+      throw new AppError(
+        `Filtering is not allowed on: ${unknown}. Allowed fields are: ${allowed}`,
+        400
+      );
+    }
+
+    //{ price: { lte: '1000' }, difficulty: 'easy,medium' } => { price: { $lte: '1000' }, difficulty: { $in: ['easy', 'medium'] } }
+    const mongoQuery = {};
+    Object.keys(queryObj).forEach(field => {
+      mongoQuery[field] = APIfeatures.toMongoCondition(field, queryObj[field]);
+    });
 
-    this.query = this.query.find(queryObj);
+    this.query = this.query.find(mongoQuery);
 
     return this;
   }
 
-  sort() {
-    if (this.queryString.sort) {
+  //Turns a single value of query string into mongo condition
+  static toMongoCondition(field, value) {
+    //?difficulty=easy,medium or ?difficulty=easy&difficulty=medium
+    if (Array.isArray(value)) return { $in: value };
+    if (typeof value === 'string') {
+      return value.includes(',') ? { $in: value.split(',') } : value;
+    }
+
+    //?price[lte]=1000&price[gte]=500
+    const condition = {};
+    Object.keys(value).forEach(op => {
+      if (!operators.includes(op)) {
+        const allowed = operators.join(', ');
+        throw new AppError(
+          `Invalid operator '${op}' on ${field}. Allowed operators are: ${allowed}`,
+          400
+        );
+      }
+      condition[`$${op}`] =
+        op === 'in' && typeof value[op] === 'string'
+          ? value[op].split(',')
+          : value[op];
+    });
+
+    return condition;
+  }
+
+  //Cursor mode is opted in by sending ?after=<id> (empty value starts from the first document)
+  isCursorMode() {
+    return this.queryString.after !== undefined;
+  }
+
+  //defaultSort is used when no ?sort is given eg: the relevance of the search results
+  sort(defaultSort = '-createdAt') {
+    //Cursor mode needs a stable order which new inserts can not shuffle so it always goes by _id
+    if (this.isCursorMode()) {
+      if (this.queryString.sort) {
+        throw new AppError('sort can not be used along with after', 400);
+      }
+      this.query = this.query.sort('_id');
+    } else if (this.queryString.sort) {
       this.query = this.query.sort(this.queryString.sort);
     } else {
-      this.query = this.query.sort('-createdAt;');
+      this.query = this.query.sort(defaultSort);
     }
 
     return this;
   }
 
-  limitFields() {
+  //defaultFields is used when no ?fields is given eg: only the names for the autocomplete
+  limitFields(defaultFields = '-__v') {
     if (this.queryString.fields) {
       const field = this.queryString.fields.split(',').join(' ');
       this.query = this.query.select(field);
     } else {
-      this.query = this.query.select('-__v');
+      this.query = this.query.select(defaultFields);
     }
 
     return this;
   }
 
   pagination() {
-    const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 100;
-    const skip = (page - 1) * limit;
-    this.query = this.query.skip(skip).limit(limit);
+    const page = pageParam(this.queryString, 'page', 1);
+    const limit = pageParam(this.queryString, 'limit', 100);
+
+    //Filter before applying the cursor so that the total count is of the whole result set
+    this.countFilter = this.query.getFilter();
+    this.page = page;
+    this.limit = limit;
+
+    if (this.isCursorMode()) {
+      const { after } = this.queryString;
+      if (after) {
+        if (!mongoose.Types.ObjectId.isValid(after)) {
+          throw new AppError(`Invalid cursor: ${after}`, 400);
+        }
+        this.query = this.query.find({ _id: { $gt: after } });
+      }
+
+      //Fetching one extra document tells us if there is a next page
+      this.query = this.query.limit(limit + 1);
+    } else {
+      const skip = (page - 1) * limit;
+      this.query = this.query.skip(skip).limit(limit);
+    }
 
     return this;
   }
+
+  //Executes the query and returns the documents with the pagination metadata
+  //next/prev urls are also sent in the Link header
+  async paginate(req, res) {
+    //includeHidden is read by the count middleware of tours, the other options of the query (skip, limit...) don't apply to the count
+    const { includeHidden } = this.query.getOptions();
+    let docs = await this.query;
+    const total = await this.query.model
+      .countDocuments(this.countFilter)
+      .setOptions({ includeHidden });
+
+    const pagination = {
+      total,
+      limit: this.limit,
+      links: {}
+    };
+
+    if (this.isCursorMode()) {
+      const hasMore = docs.length > this.limit;
+      if (hasMore) docs = docs.slice(0, this.limit);
+
+      pagination.nextCursor = hasMore ? `${docs[docs.length - 1]._id}` : null;
+      if (hasMore) {
+        pagination.links.next = APIfeatures.pageUrl(req, {
+          after: pagination.nextCursor
+        });
+      }
+    } else {
+      pagination.page = this.page;
+      pagination.pageCount = Math.ceil(total / this.limit);
+
+      if (this.page < pagination.pageCount) {
+        pagination.links.next = APIfeatures.pageUrl(req, {
+          page: this.page + 1
+        });
+      }
+      if (this.page > 1) {
+        pagination.links.prev = APIfeatures.pageUrl(req, {
+          page: this.page - 1
+        });
+      }
+    }
+
+    if (Object.keys(pagination.links).length > 0) res.links(pagination.links);
+
+    return { docs, pagination };
+  }
+
+  //Same url as the request with only the paging parameters replaced
+  static pageUrl(req, params) {
+    const [path, rawQuery] = req.originalUrl.split('?');
+    const searchParams = new URLSearchParams(rawQuery);
+    Object.keys(params).forEach(key => searchParams.set(key, params[key]));
+
+    return `${req.protocol}://${req.get('host')}${path}?${searchParams}`;
+  }
 }
 
 module.exports = APIfeatures;
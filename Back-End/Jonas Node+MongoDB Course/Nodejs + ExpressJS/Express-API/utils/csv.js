@@ -0,0 +1,48 @@
+//Rows of the analytics are sent as json or as a csv download when ?format=csv is sent
+
+//Text starting with one of these is run as a formula by spreadsheets, eg: a tour named =HYPERLINK(...)
+const formulaStart = /^[=+\-@\t\r]/;
+
+const toText = value =>
+  value instanceof Date ? value.toISOString() : `${value}`;
+
+//Dates are written as ISO strings (in arrays as well) & arrays as a ; separated list, values with a comma, quote or new line are quoted
+//Text which looks like a formula gets a ' in front so that it is shown as it is (numbers are left alone)
+const toCell = value => {
+  if (value === undefined || value === null) return '';
+
+  let cell = Array.isArray(value)
+    ? value.map(toText).join('; ')
+    : toText(value);
+  if (typeof value !== 'number' && formulaStart.test(cell)) cell = `'${cell}`;
+
+  return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+//Columns are the keys of all the rows in the order they first appear
+const toCsv = rows => {
+  const columns = [
+    ...new Set(rows.reduce((keys, row) => keys.concat(Object.keys(row)), []))
+  ];
+  const lines = rows.map(row => columns.map(col => toCell(row[col])).join(','));
+  return [columns.join(','), ...lines].join('\n');
+};
+
+exports.toCsv = toCsv;
+
+exports.sendRows = (req, res, name, rows) => {
+  if (req.query.format === 'csv') {
+    return res
+      .status(200)
+      .attachment(`${name}.csv`)
+      .send(toCsv(rows));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    data: {
+      [name]: rows
+    }
+  });
+};
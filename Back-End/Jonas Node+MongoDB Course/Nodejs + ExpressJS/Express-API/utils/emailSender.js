@@ -1,27 +1,86 @@
+const path = require('path');
 const nodemailer = require('nodemailer');
+const pug = require('pug');
+const { convert } = require('html-to-text');
+const OutboxTransport = require('./outboxTransport.js');
 
-const sendEmail = async options => {
-
-	//1) Create the transporter
-	const transporter = nodemailer.createTransport({
-		host: process.env.EMAIL_HOST,
-		port: process.env.EMAIL_PORT,
-		auth: {
-			user: process.env.EMAIL_USERNAME,
-			pass: process.env.EMAIL_PASSWORD
-		}
-	});
-
-	//2) Define the email options
-	const mailOptions = {
-		from: 'Kaiwalya Koparkar <example@kaiwalyakoparkar.com>',
-		to: options.email,
-		subject: options.subject,
-		text: options.message,
-	}
-
-	//3) Acutally send the email
-	await transporter.sendMail(mailOptions);
+//Transport is created only once and reused for all the emails
+let transporter;
+
+//EMAIL_TRANSPORT=smtp (default) sends through the EMAIL_HOST server, EMAIL_TRANSPORT=outbox saves the emails as files
+const newTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'outbox') {
+    const outboxDir =
+      process.env.EMAIL_OUTBOX_DIR ||
+      path.join(__dirname, '../dev-data/outbox');
+    return nodemailer.createTransport(new OutboxTransport(outboxDir));
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    auth: {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+//new Email(user, url).sendWelcome()
+class Email {
+  constructor(user, url) {
+    this.to = user.email;
+    this.firstName = user.name.split(' ')[0];
+    this.url = url;
+    this.from =
+      process.env.EMAIL_FROM ||
+      'Kaiwalya Koparkar <example@kaiwalyakoparkar.com>';
+  }
+
+  //Renders the pug template in views/email to html with a text version of it for the clients without html
+  async send(template, subject, locals = {}) {
+    const html = pug.renderFile(
+      path.join(__dirname, `../views/email/${template}.pug`),
+      {
+        firstName: this.firstName,
+        url: this.url,
+        subject,
+        ...locals
+      }
+    );
+
+    const mailOptions = {
+      from: this.from,
+      to: this.to,
+      subject,
+      html,
+      text: convert(html, { wordwrap: 130 })
+    };
+
+    if (!transporter) transporter = newTransport();
+    await transporter.sendMail(mailOptions);
+  }
+
+  async sendWelcome() {
+    await this.send('welcome', 'Welcome to the Natours family!');
+  }
+
+  async sendEmailVerification() {
+    await this.send('emailVerification', 'Please verify your email address');
+  }
+
+  async sendAccountLocked(lockUntil) {
+    await this.send('accountLocked', 'Your account has been locked', {
+      lockUntil: lockUntil.toUTCString()
+    });
+  }
+
+  async sendPasswordReset() {
+    await this.send(
+      'passwordReset',
+      'Your password reset link (valid for only 10 minutes)'
+    );
+  }
+}
+
+module.exports = Email;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const express = require('express');
+const AppError = require('./appError.js');
+
+//Local payment provider so that checkout can be tested without a real payment service
+//Sessions are kept in memory and the "payment page" directly marks them as paid & sends the signed webhook
+
+const sessions = new Map();
+const signatureHeader = 'fake-signature';
+const toleranceSeconds = 5 * 60;
+
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET;
+
+const sign = (payload, timestamp) =>
+  crypto
+    .createHmac('sha256', webhookSecret())
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+//Same format as stripe: t=<timestamp>,v1=<signature>
+const signPayload = payload => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return `t=${timestamp},v1=${sign(payload, timestamp)}`;
+};
+
+exports.name = 'fake';
+
+//Called when the provider is selected, the webhooks can't be signed without a secret
+//Its public payment page pays any session, so it is refused in production whatever PAYMENT_PROVIDER says
+exports.init = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider can not be used in production');
+  }
+  if (!webhookSecret()) {
+    throw new Error(
+      'PAYMENT_WEBHOOK_SECRET has to be set for the fake payment provider'
+    );
+  }
+};
+
+exports.createCheckoutSession = async options => {
+  const id = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+  const session = {
+    id,
+    amount: options.amount,
+    currency: options.currency,
+    customerEmail: options.customerEmail,
+    clientReferenceId: options.clientReferenceId,
+    metadata: options.metadata,
+    successUrl: options.successUrl,
+    cancelUrl: options.cancelUrl,
+    status: 'open'
+  };
+  sessions.set(id, session);
+
+  const { origin } = new URL(options.successUrl);
+  return { id, url: `${origin}/fake-checkout/${id}` };
+};
+
+//Returns the event if the signature is valid, else throws
+exports.verifyWebhook = (rawBody, headers) => {
+  const header = headers[signatureHeader];
+  if (!header) throw new AppError('Missing webhook signature', 400);
+
+  const parts = {};
+  header.split(',').forEach(el => {
+    const [key, value] = el.split('=');
+    parts[key] = value;
+  });
+
+  const timestamp = parts.t * 1;
+  if (
+    !timestamp ||
+    Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds
+  ) {
+    throw new AppError('Webhook signature has expired', 400);
+  }
+
+  const expected = Buffer.from(sign(rawBody.toString(), timestamp));
+  const received = Buffer.from(parts.v1 || '');
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+
+  return JSON.parse(rawBody.toString());
+};
+
+//Posts the signed event to our own webhook route just like a real provider would
+const sendWebhook = (webhookUrl, event) =>
+  new Promise((resolve, reject) => {
+    const payload = JSON.stringify(event);
+    const client = webhookUrl.startsWith('https') ? https : http;
+
+    const request = client.request(
+      webhookUrl,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          [signatureHeader]: signPayload(payload)
+        }
+      },
+      response => {
+        response.resume();
+        response.on('end', () =>
+          response.statusCode < 300
+            ? resolve()
+            : reject(
+                new AppError('Webhook was not accepted', response.statusCode)
+              )
+        );
+      }
+    );
+    request.on('error', reject);
+    request.end(payload);
+  });
+
+//The "payment page" of the fake provider: opening it pays the session and goes back to the success url
+exports.router = express
+  .Router()
+  .get('/fake-checkout/:id', (req, res, next) => {
+    const session = sessions.get(req.params.id);
+    if (!session || session.status !== 'open') {
+      return next(new AppError('No open checkout session found', 404));
+    }
+    session.status = 'complete';
+
+    const event = {
+      type: 'checkout.session.completed',
+      data: {
+        id: session.id,
+        amount: session.amount,
+        currency: session.currency,
+        customerEmail: session.customerEmail,
+        clientReferenceId: session.clientReferenceId,
+        metadata: session.metadata
+      }
+    };
+
+    sendWebhook(`${req.protocol}://${req.get('host')}/webhook-checkout`, event)
+      .then(() => res.redirect(session.successUrl))
+      .catch(next);
+  });
+
+exports.signPayload = signPayload;
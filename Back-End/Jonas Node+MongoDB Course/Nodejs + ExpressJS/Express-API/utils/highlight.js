@@ -0,0 +1,60 @@
+//Highlighted snippets of the search results eg: '...through the <mark>forest</mark> of...'
+//Mongo does not tell which words matched so the words of the search are looked for again here
+
+//Text searched as it is in a RegExp eg: the prefix of the autocomplete
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+exports.escapeRegExp = escapeRegExp;
+
+const escapeHtml = str =>
+  str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+//Words of the $text search, excluded words (-word) are not highlighted
+exports.searchTerms = q =>
+  (q.match(/-?"[^"]*"|\S+/g) || [])
+    .filter(el => !el.startsWith('-'))
+    .map(el => el.replace(/"/g, '').trim())
+    .filter(Boolean);
+
+//Mongo search is stemmed (hiking => hike) so the common endings are taken off & any word starting with the rest is matched
+const stem = term => term.replace(/(ing|ed|es|er|s)$/i, '') || term;
+
+const termsRegExp = terms =>
+  new RegExp(
+    `(\\b(?:${terms
+      .map(el => escapeRegExp(el.length > 4 ? stem(el) : el))
+      .join('|')})\\w*)`,
+    'gi'
+  );
+
+//Part of the text around the first match with all the matches wrapped in <mark>, undefined if nothing matched
+exports.snippet = (text, terms, length = 160) => {
+  if (!text || terms.length === 0) return undefined;
+
+  const regExp = termsRegExp(terms);
+  const first = text.search(regExp);
+  if (first === -1) return undefined;
+
+  let start = Math.max(0, first - Math.floor(length / 4));
+  let end = Math.min(text.length, start + length);
+  //Cut on spaces so that words are not split in half, unless that would cut off the first match
+  if (start > 0) start = Math.min(first, text.indexOf(' ', start) + 1 || start);
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (lastSpace > first) end = lastSpace;
+  }
+
+  const marked = text
+    .slice(start, end)
+    .split(regExp)
+    //Split keeps the matched words at the odd indexes
+    .map((part, i) =>
+      i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join('');
+
+  return `${start > 0 ? '...' : ''}${marked}${end < text.length ? '...' : ''}`;
+};
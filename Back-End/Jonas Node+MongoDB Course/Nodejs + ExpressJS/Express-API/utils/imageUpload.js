@@ -0,0 +1,21 @@
+const multer = require('multer');
+const AppError = require('./appError.js');
+
+//Images are kept in memory so that sharp can resize them before they are written to the disk
+const multerStorage = multer.memoryStorage();
+
+//Creating a filter to allow only images to be uploaded
+const multerFilter = (req, file, callBack) => {
+  if (file.mimetype.startsWith('image')) {
+    callBack(null, true);
+  } else {
+    callBack(new AppError('Please upload an image', 400), false);
+  }
+};
+
+const upload = multer({
+  storage: multerStorage,
+  fileFilter: multerFilter
+});
+
+module.exports = upload;
@@ -0,0 +1,16 @@
+//Structured logger, every line is one json object so that the logs can be searched by any field (eg. requestId)
+const write = (level, message, fields = {}) => {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...fields
+  });
+
+  if (level === 'error') console.error(line);
+  else console.log(line);
+};
+
+exports.info = (message, fields) => write('info', message, fields);
+exports.warn = (message, fields) => write('warn', message, fields);
+exports.error = (message, fields) => write('error', message, fields);
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+//Nodemailer transport which does not send anything, every email is saved as a JSON file in the outbox folder
+//Used in development & tests so that the emails can be opened without a real mail server
+class OutboxTransport {
+  constructor(outboxDir) {
+    this.name = 'outbox';
+    this.version = '1.0.0';
+    this.outboxDir = outboxDir;
+  }
+
+  send(mail, callBack) {
+    const messageId = mail.message.messageId();
+    const { from, to, subject, text, html } = mail.data;
+
+    const email = {
+      messageId,
+      date: new Date().toISOString(),
+      from,
+      to,
+      subject,
+      text,
+      html
+    };
+
+    const fileName = `${Date.now()}-${messageId.replace(/[<>@]/g, '')}.json`;
+
+    fs.mkdir(this.outboxDir, { recursive: true }, mkdirErr => {
+      if (mkdirErr) return callBack(mkdirErr);
+
+      fs.writeFile(
+        path.join(this.outboxDir, fileName),
+        JSON.stringify(email, null, 2),
+        writeErr => {
+          if (writeErr) return callBack(writeErr);
+
+          callBack(null, {
+            envelope: mail.message.getEnvelope(),
+            messageId,
+            file: fileName
+          });
+        }
+      );
+    });
+  }
+}
+
+module.exports = OutboxTransport;
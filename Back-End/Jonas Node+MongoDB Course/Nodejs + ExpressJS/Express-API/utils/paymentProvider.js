@@ -0,0 +1,24 @@
+const fakePaymentProvider = require('./fakePaymentProvider.js');
+
+//Payment providers are chosen with PAYMENT_PROVIDER env variable
+//The fake provider is the default everywhere except production, where it is refused & a real provider has to be set
+//Every provider has to implement:
+//  createCheckoutSession({ amount, currency, customerEmail, clientReferenceId, name, description, successUrl, cancelUrl, metadata }) => { id, url }
+//  verifyWebhook(rawBody, headers) => event ({ type, data }) or throws if the signature is invalid
+//  init (optional) => checks the config of the provider when the app starts & throws if something is missing
+//  router (optional) => extra routes of the provider which are mounted in index.js
+const providers = {
+  fake: fakePaymentProvider
+};
+
+const providerName =
+  process.env.PAYMENT_PROVIDER ||
+  (process.env.NODE_ENV === 'production' ? undefined : 'fake');
+
+const provider = providers[providerName];
+if (!provider) {
+  throw new Error(`Unknown payment provider: ${providerName}`);
+}
+if (provider.init) provider.init();
+
+module.exports = provider;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const logger = require('./logger.js');
+
+//Incoming ids are only reused if they are safe to be written in the logs & headers
+const validRequestId = /^[\w-]{1,128}$/;
+
+//Tokens sent in the path (email links) & secrets in the query are not written to the logs
+const tokenPath = /\/(verifyEmail|resetPassword)\/[^/?#]+/gi;
+const sensitiveParams = /^(token|code|recoverycode|password|secret|refreshtoken|twofactortoken)$/i;
+const redacted = '[REDACTED]';
+
+exports.redactUrl = url => {
+  const [path, rawQuery] = url.split('?');
+  const safePath = path.replace(tokenPath, `/$1/${redacted}`);
+  if (rawQuery === undefined) return safePath;
+
+  const safeQuery = rawQuery
+    .split('&')
+    .map(pair => {
+      const [key] = pair.split('=');
+      return sensitiveParams.test(key) ? `${key}=${redacted}` : pair;
+    })
+    .join('&');
+  return `${safePath}?${safeQuery}`;
+};
+
+//Gives every request an id, the one sent by the client or proxy in X-Request-Id is kept so that a call can be traced across services
+exports.requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.requestId =
+    incoming && validRequestId.test(incoming)
+      ? incoming
+      : crypto.randomBytes(16).toString('hex');
+
+  res.set('X-Request-Id', req.requestId);
+  next();
+};
+
+//One log line per request once the response is sent
+exports.logRequest = (req, res, next) => {
+  const start = process.hrtime();
+
+  res.on('finish', () => {
+    const [seconds, nanoseconds] = process.hrtime(start);
+
+    logger.info('request completed', {
+      requestId: req.requestId,
+      method: req.method,
+      url: exports.redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round((seconds * 1e3 + nanoseconds / 1e6) * 100) / 100,
+      userId: req.user ? req.user.id : undefined,
+      ip: req.ip
+    });
+  });
+
+  next();
+};
@@ -0,0 +1,88 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const AppError = require('./appError.js');
+
+//Validates the body, query & params of a request against the JSON schemas of the route (see the schemas folder)
+//Fields not listed in an object schema with additionalProperties: false are removed, so clients can't set privileged fields
+
+const options = { allErrors: true, removeAdditional: true, useDefaults: true };
+
+//Formats used by the schemas: email (from ajv-formats), date (anything mongoose can cast) & objectId
+const addCustomFormats = ajv => {
+  addFormats(ajv, ['email']);
+  ajv.addFormat('date', str => !Number.isNaN(Date.parse(str)));
+  ajv.addFormat('objectId', /^[0-9a-fA-F]{24}$/);
+  return ajv;
+};
+
+//JSON bodies are checked as they are sent
+const strictAjv = addCustomFormats(new Ajv(options));
+//Query, params & multipart form fields are always strings, so they are converted to the types of the schema
+const coercingAjv = addCustomFormats(
+  new Ajv({ ...options, coerceTypes: 'array' })
+);
+
+const locations = ['params', 'query', 'body'];
+
+//Ajv error => { in: 'body', field: 'startLocation.coordinates', message }
+const formatError = location => err => {
+  let field = err.instancePath.slice(1).replace(/\//g, '.');
+  let message = `${field} ${err.message}`;
+
+  if (err.keyword === 'required') {
+    field = field
+      ? `${field}.${err.params.missingProperty}`
+      : err.params.missingProperty;
+    message = `${field} is required`;
+  }
+  if (err.keyword === 'format') {
+    message = `${field} must be a valid ${err.params.format}`;
+  }
+  if (err.keyword === 'enum') {
+    message = `${field} must be one of: ${err.params.allowedValues.join(', ')}`;
+  }
+
+  return { in: location, field: field || location, message: message.trim() };
+};
+
+module.exports = schemas => {
+  const validators = {};
+  locations.forEach(location => {
+    if (!schemas[location]) return;
+    validators[location] = {
+      strict: strictAjv.compile(schemas[location]),
+      coercing: coercingAjv.compile(schemas[location])
+    };
+  });
+
+  return (req, res, next) => {
+    const errors = [];
+
+    locations.forEach(location => {
+      if (!validators[location]) return;
+
+      const validator =
+        location === 'body' && !req.is('multipart/form-data')
+          ? validators[location].strict
+          : validators[location].coercing;
+      //Missing body (eg. no content-type) is validated as an empty object
+      if (location === 'body' && !req.body) req.body = {};
+
+      if (!validator(req[location])) {
+        errors.push(...validator.errors.map(formatError(location)));
+      }
+    });
+
+    if (errors.length) {
+      const error = new AppError(
+        errors.map(el => el.message).join('. '),
+        400,
+        'VALIDATION_FAILED'
+      );
+      error.errors = errors;
+      return next(error);
+    }
+
+    next();
+  };
+};
@@ -48,8 +48,7 @@ exports.signup = catchAsync(async(req, res, next) => {
 		name: req.body.name,
 		email: req.body.email,
 		password: req.body.password,
-		passwordConfirm: req.body.passwordConfirm,
-		role: req.body.role
+		passwordConfirm: req.body.passwordConfirm
 	});
 
 	//========== JWT signing & sending response (Iteration 3)
@@ -33,6 +33,7 @@ const sendErrorDev = (err, res) => {
   res.status(err.statusCode).json({
     status: err.status,
     message: err.message,
+    errors: err.errors,
     stack: err.stack,
     error: err
   });
@@ -41,9 +42,11 @@ const sendErrorDev = (err, res) => {
 const sendErrorProd = (err, res) => {
   //If operational then send the alloted error message
   if(err.isOperational) {
+    //errors lists every invalid field when the request validation fails
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      errors: err.errors
     });
 
   //If not operational then don't leak the error message instead send a generic error message
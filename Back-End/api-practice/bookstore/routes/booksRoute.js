@@ -9,10 +9,12 @@ route.use(express.json());
 //File imports
 const bookController = require('../controllers/booksController.js');
 const authController = require('../controllers/authController.js');
+const validate = require('../util/validate.js');
+const booksSchema = require('../schemas/booksSchema.js');
 
 //Route operations
-route.route('/').get(bookController.getAllBooks).post(authController.protect, authController.restrictTo('admin'), bookController.addNewBook);
+route.route('/').get(bookController.getAllBooks).post(authController.protect, authController.restrictTo('admin'), validate(booksSchema.createBook), bookController.addNewBook);
 
-route.route('/:id').get(bookController.getSingleBook).patch(authController.protect, authController.restrictTo('admin'), bookController.updateBook).delete(authController.protect, authController.restrictTo('admin'), bookController.deleteBook);
+route.route('/:id').get(validate(booksSchema.bookById), bookController.getSingleBook).patch(authController.protect, authController.restrictTo('admin'), validate(booksSchema.updateBook), bookController.updateBook).delete(authController.protect, authController.restrictTo('admin'), validate(booksSchema.bookById), bookController.deleteBook);
 
 module.exports = route;
\ No newline at end of file
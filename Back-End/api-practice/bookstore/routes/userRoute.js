@@ -8,8 +8,10 @@ route.use(express.json());
 
 const userController = require('../controllers/userController.js');
 const authController = require('../controllers/authController');
+const validate = require('../util/validate.js');
+const userSchema = require('../schemas/userSchema.js');
 
-route.post('/signup', authController.signup);
+route.post('/signup', validate(userSchema.signup), authController.signup);
 route.post('/login', authController.login);
 
 route.route('/').get(authController.protect, authController.restrictTo('admin'), userController.getAllUsers);
@@ -0,0 +1,42 @@
+//rating is managed by the server so it is not listed & gets removed from the body
+const bookBody = {
+	type: 'object',
+	properties: {
+		name: { type: 'string', minLength: 1 },
+		price: { type: 'number', minimum: 0 },
+		pages: { type: 'integer', minimum: 1 },
+		languages: { type: 'array', items: { type: 'string' } },
+		publisher: { type: 'string' },
+		publicationDate: { type: 'string', format: 'date' },
+		weight: { type: 'number', minimum: 0 },
+		dimensions: { type: 'string' },
+		author: { type: 'string', minLength: 1 },
+		genre: { type: 'array', items: { type: 'string' } },
+		inStock: { type: 'boolean' },
+		description: { type: 'string' },
+	},
+	required: ['name', 'price', 'pages', 'author'],
+	additionalProperties: false,
+};
+
+const idParams = {
+	type: 'object',
+	properties: {
+		id: { type: 'string', format: 'objectId' },
+	},
+	required: ['id'],
+};
+
+exports.createBook = {
+	body: bookBody,
+};
+
+//Same fields as create but none of them is required
+exports.updateBook = {
+	params: idParams,
+	body: { ...bookBody, required: [] },
+};
+
+exports.bookById = {
+	params: idParams,
+};
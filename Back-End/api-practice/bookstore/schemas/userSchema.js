@@ -0,0 +1,14 @@
+//role is only given by an admin so it is not listed & gets removed from the body, every new user is a reader
+exports.signup = {
+	body: {
+		type: 'object',
+		properties: {
+			name: { type: 'string', minLength: 1 },
+			email: { type: 'string', format: 'email' },
+			password: { type: 'string', minLength: 8 },
+			passwordConfirm: { type: 'string' },
+		},
+		required: ['name', 'email', 'password', 'passwordConfirm'],
+		additionalProperties: false,
+	},
+};
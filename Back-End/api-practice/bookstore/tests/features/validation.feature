@@ -0,0 +1,45 @@
+Feature: Request validation
+
+
+  Scenario: Getting a book with an invalid id
+    Given I make a GET request to http://localhost:3000/api/v1/books/not-a-book-id
+    When I receive a response
+    Then I expect response should have a status 400
+    And I expect response should have a json like
+    """
+    {"status": "fail", "message": "id must be a valid objectId", "errors": [{"in": "params", "field": "id", "message": "id must be a valid objectId"}]}
+    """
+
+
+  Scenario: Getting a book with an id which is too short
+    Given I make a GET request to http://localhost:3000/api/v1/books/618a649f8b756c3f50def9
+    When I receive a response
+    Then I expect response should have a status 400
+    And I expect response should have a json like
+    """
+    {"errors": [{"in": "params", "field": "id"}]}
+    """
+
+
+  Scenario: Adding a book without logging in is refused before the body is validated
+    Given I make a POST request to http://localhost:3000/api/v1/books/
+    And I set body to
+    """
+    {"name": ""}
+    """
+    When I receive a response
+    Then I expect response should have a status 401
+
+
+  Scenario: Signing up checks the fields of the user and never takes a role
+    Given I make a POST request to http://localhost:3000/api/v1/users/signup
+    And I set body to
+    """
+    {"name": "Reader", "email": "not-an-email", "password": "pass1234", "passwordConfirm": "pass1234", "role": "admin"}
+    """
+    When I receive a response
+    Then I expect response should have a status 400
+    And I expect response should have a json like
+    """
+    {"status": "fail", "errors": [{"in": "body", "field": "email", "message": "email must be a valid email"}]}
+    """
@@ -0,0 +1,84 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const AppError = require('./appError.js');
+
+//Validates the body, query & params of a request against the JSON schemas of the route (see the schemas folder)
+//Fields not listed in an object schema with additionalProperties: false are removed, so clients can't set fields like rating
+
+const createAjv = (coerceTypes) => {
+	const ajv = new Ajv({
+		allErrors: true,
+		removeAdditional: true,
+		useDefaults: true,
+		coerceTypes,
+	});
+	addFormats(ajv, ['email']);
+	ajv.addFormat('date', (str) => !Number.isNaN(Date.parse(str)));
+	ajv.addFormat('objectId', /^[0-9a-fA-F]{24}$/);
+	return ajv;
+};
+
+//JSON bodies are checked as they are sent, query & params are always strings so they are converted to the types of the schema
+const bodyAjv = createAjv(false);
+const coercingAjv = createAjv('array');
+
+const locations = ['params', 'query', 'body'];
+
+//Ajv error => { in: 'body', field: 'price', message }
+const formatError = (location) => (err) => {
+	let field = err.instancePath.slice(1).replace(/\//g, '.');
+	let message = `${field} ${err.message}`;
+
+	if (err.keyword === 'required') {
+		field = field
+			? `${field}.${err.params.missingProperty}`
+			: err.params.missingProperty;
+		message = `${field} is required`;
+	}
+	if (err.keyword === 'format') {
+		message = `${field} must be a valid ${err.params.format}`;
+	}
+	if (err.keyword === 'enum') {
+		message = `${field} must be one of: ${err.params.allowedValues.join(', ')}`;
+	}
+
+	return { in: location, field: field || location, message: message.trim() };
+};
+
+module.exports = (schemas) => {
+	const validators = {};
+	locations.forEach((location) => {
+		if (schemas[location]) {
+			validators[location] = (
+				location === 'body' ? bodyAjv : coercingAjv
+			).compile(schemas[location]);
+		}
+	});
+
+	return (req, res, next) => {
+		const errors = [];
+
+		locations.forEach((location) => {
+			const validator = validators[location];
+			if (!validator) return;
+
+			if (location === 'body' && !req.body) req.body = {};
+
+			if (!validator(req[location])) {
+				errors.push(...validator.errors.map(formatError(location)));
+			}
+		});
+
+		//All the field errors are sent at once
+		if (errors.length) {
+			const error = new AppError(
+				errors.map((el) => el.message).join('. '),
+				400
+			);
+			error.errors = errors;
+			return next(error);
+		}
+
+		next();
+	};
+};